@@ -0,0 +1,120 @@
+import os from 'os';
+import { Worker, isMainThread, parentPort } from 'worker_threads';
+import sharp from 'sharp';
+
+/**
+ * Renders a composite image: raw icons placed on a blank canvas, then encoded.
+ * @param {Object} spec
+ * @param {number} spec.width - Canvas width.
+ * @param {number} spec.height - Canvas height.
+ * @param {Object} spec.background - Canvas color, as sharp takes it.
+ * @param {Array<{input: Uint8Array, raw: Object, top: number, left: number}>} spec.composites
+ *   Icons as returned by the icon cache, with their position.
+ * @param {'avif'|'webp'} spec.format - Output format.
+ * @param {Object} [spec.options] - Encoder options (e.g., `{quality: 20}`).
+ * @param {number} [spec.resize] - Width to scale the composite down to before encoding.
+ * @returns {Promise<Buffer>} The encoded image.
+ */
+export async function renderComposite({
+  width,
+  height,
+  background,
+  composites,
+  format,
+  options,
+  resize,
+}) {
+  let image = sharp({ create: { width, height, channels: 4, background } }).composite(
+    composites.map(({ input, raw, top, left }) => ({
+      input: Buffer.from(input.buffer, input.byteOffset, input.byteLength),
+      raw,
+      top,
+      left,
+    })),
+  );
+  if (resize) {
+    // sharp resizes before compositing within one pipeline, so the composite is flattened first
+    const flattened = await image.raw().toBuffer();
+    image = sharp(flattened, { raw: { width, height, channels: 4 } }).resize(resize);
+  }
+  return image[format](options).toBuffer();
+}
+
+if (!isMainThread) {
+  // Each worker encodes one image at a time, more libvips threads would only compete
+  sharp.concurrency(1);
+  parentPort.on('message', async ({ id, spec }) => {
+    try {
+      parentPort.postMessage({ id, data: await renderComposite(spec) });
+    } catch (e) {
+      parentPort.postMessage({ id, error: e.message });
+    }
+  });
+}
+
+/**
+ * Starts worker threads rendering composites in parallel, as AVIF encoding keeps a core
+ * busy per image. Renders are queued until a worker is free.
+ * @param {number} [size] - Number of workers, one per CPU by default. 0 renders on the
+ *   main thread instead.
+ * @returns {{render: function(Object): Promise<Buffer>, close: function(): Promise<void>}}
+ *   `render(spec)` takes a spec as renderComposite does. `close()` stops the workers.
+ */
+export function createCompositePool(size = os.availableParallelism()) {
+  if (size === 0) return { render: renderComposite, close: async () => {} };
+
+  const idle = [];
+  const queue = [];
+  const pending = new Map(); // Render id -> {resolve, reject}
+  let nextId = 0;
+  let failure = null;
+
+  const dispatch = () => {
+    while (idle.length > 0 && queue.length > 0) {
+      const worker = idle.pop();
+      const { id, spec } = queue.shift();
+      worker.ref();
+      worker.postMessage({ id, spec });
+    }
+  };
+
+  const workers = Array.from({ length: size }, () => {
+    const worker = new Worker(new URL(import.meta.url));
+    worker.on('message', ({ id, data, error }) => {
+      const render = pending.get(id);
+      pending.delete(id);
+      if (render && error) render.reject(new Error(error));
+      else if (render) render.resolve(Buffer.from(data.buffer, data.byteOffset, data.byteLength));
+      worker.unref();
+      idle.push(worker);
+      dispatch();
+    });
+    worker.on('error', (e) => {
+      // A crashed worker fails every render, nothing tells which one it had
+      failure = e;
+      for (const { reject } of pending.values()) reject(e);
+      pending.clear();
+      queue.length = 0;
+    });
+    // Idle workers don't keep the process alive, so a failing stage can still exit
+    worker.unref();
+    idle.push(worker);
+    return worker;
+  });
+
+  return {
+    render(spec) {
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => {
+        const id = nextId++;
+        pending.set(id, { resolve, reject });
+        queue.push({ id, spec });
+        dispatch();
+      });
+    },
+
+    async close() {
+      await Promise.all(workers.map((worker) => worker.terminate()));
+    },
+  };
+}
@@ -0,0 +1,55 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+export const DEFAULT_CONFIG_FILE = 'favicons.config.js';
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && value.constructor === Object;
+}
+
+/**
+ * Deep-merges config objects. Plain objects are merged key by key, anything else
+ * (arrays, RegExps, numbers...) in `override` replaces the base value, unless undefined.
+ * @param {Object} base - The base config.
+ * @param {Object} override - The overrides.
+ * @returns {Object} A new, merged object.
+ */
+export function mergeConfig(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    // Unset command-line flags come through as undefined, they don't override anything
+    if (value === undefined) continue;
+    merged[key] =
+      isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Loads the pipeline config file and applies the overrides of an environment.
+ * @param {Object} [options]
+ * @param {string} [options.configPath=DEFAULT_CONFIG_FILE] - The config module to load.
+ * @param {string} [options.env] - Name of the `environments` block to apply (e.g., 'production').
+ * @returns {Promise<Object>} The merged config, without the `environments` block.
+ */
+export async function loadConfig({ configPath = DEFAULT_CONFIG_FILE, env } = {}) {
+  const { default: fileConfig } = await import(pathToFileURL(path.resolve(configPath)).href);
+  const { environments = {}, ...config } = fileConfig;
+
+  if (!env) return config;
+  if (!environments[env]) {
+    throw new Error(`Unknown environment "${env}" in ${configPath}`);
+  }
+  return mergeConfig(config, environments[env]);
+}
+
+/**
+ * Config of one stage: the `shared` section with the stage's own section on top.
+ * @param {Object} config - Config as returned by loadConfig.
+ * @param {string} stage - The stage's section (e.g., 'download').
+ * @param {Object} [overrides] - Values to apply last, e.g. from command-line flags.
+ * @returns {Object} The stage config.
+ */
+export function getStageConfig(config, stage, overrides = {}) {
+  return mergeConfig(mergeConfig(config.shared || {}, config[stage] || {}), overrides);
+}
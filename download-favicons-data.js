@@ -1,22 +1,113 @@
-import { BigQuery } from '@google-cloud/bigquery';
 import fs from 'fs/promises';
-import path from 'path';
+import crypto from 'crypto';
+import { BigQuery } from '@google-cloud/bigquery';
+
+export const QUERY_MODES = ['table', 'extractor'];
+export const CLIENTS = ['desktop', 'mobile'];
 
 // --- Configuration ---
-// The full ID of the table you want to query.
-const tableId = 'usinggeminiforcoding.favicons.favicons_1M';
+// Set from the `fetchData` section of favicons.config.js when the stage runs
+let CONFIG;
 
-// The path where the output JSON file will be saved.
-const outputFilePath = path.join(process.cwd(), 'favicons.json');
+/**
+ * Reads when the BigQuery table last changed, so `run-all` can skip fetching it again.
+ * @param {Object} config - The `fetchData` stage config.
+ * @returns {Promise<string|null>} The table's last modified time, in ms since epoch, or
+ *   null for extractor queries (a published crawl doesn't change, its date is in the config).
+ */
+export async function getTableVersion({ PROJECT_ID, TABLE_ID, QUERY }) {
+  if (QUERY === 'extractor') return null;
+  const [, datasetId, tableName] = TABLE_ID.split('.');
+  const bigquery = new BigQuery({ projectId: PROJECT_ID });
+  const [metadata] = await bigquery.dataset(datasetId).table(tableName).getMetadata();
+  return metadata.lastModifiedTime;
+}
 
-// The Google Cloud project ID that owns the BigQuery table.
-const projectId = 'usinggeminiforcoding';
-// ---------------------
+/**
+ * Date of an HTTP Archive crawl. Crawls are monthly and dated the 1st, so a month is enough.
+ * @param {string} value - YYYY-MM or YYYY-MM-DD.
+ * @returns {string} YYYY-MM-DD.
+ */
+function toCrawlDate(value) {
+  const match = String(value).match(/^(\d{4}-\d{2})(-\d{2})?$/);
+  if (!match) throw new Error(`Invalid crawl date "${value}", expected YYYY-MM or YYYY-MM-DD`);
+  return `${match[1]}${match[2] || '-01'}`;
+}
 
 /**
- * Downloads data from a BigQuery table and saves it as a JSON file.
+ * Builds the query the config asks for: a plain export of TABLE_ID, or the extractor
+ * SQL run on one crawl of the HTTP Archive, with its parameters.
+ * @returns {Promise<{query: string, params?: Object, description: string}>}
  */
-async function downloadBigQueryTable() {
+async function buildQuery() {
+  if (!QUERY_MODES.includes(CONFIG.QUERY)) {
+    throw new Error(`Unknown query "${CONFIG.QUERY}", expected one of ${QUERY_MODES}`);
+  }
+  if (CONFIG.QUERY === 'table') {
+    return { query: `SELECT * FROM \`${CONFIG.TABLE_ID}\``, description: CONFIG.TABLE_ID };
+  }
+
+  const clients = [].concat(CONFIG.CLIENTS);
+  if (clients.length === 0) throw new Error('No HTTP Archive client selected');
+  for (const client of clients) {
+    if (!CLIENTS.includes(client)) {
+      throw new Error(`Unknown client "${client}", expected one of ${CLIENTS}`);
+    }
+  }
+  const crawlDate = toCrawlDate(CONFIG.CRAWL_DATE);
+  return {
+    query: await fs.readFile(CONFIG.EXTRACTOR_SQL_FILE, 'utf-8'),
+    params: {
+      crawl_date: BigQuery.date(crawlDate),
+      clients,
+      max_rank: CONFIG.MAX_RANK,
+    },
+    description: `the ${clients.join(' and ')} crawls of ${crawlDate}`,
+  };
+}
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+  let value = Number(bytes);
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+/**
+ * Reads where an interrupted export stopped, if it was exporting the same query.
+ * @param {string} queryKey - Hash of the query and its parameters.
+ * @returns {Promise<Object|null>} The resume state, or null to start over.
+ */
+async function readResumeState(queryKey) {
+  let state;
+  try {
+    state = JSON.parse(await fs.readFile(CONFIG.RESUME_FILE, 'utf-8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+  if (state.queryKey !== queryKey) {
+    console.log('🔄 The interrupted export was for another query, starting over.');
+    return null;
+  }
+  return state;
+}
+
+/**
+ * Exports the favicon data from BigQuery as an NDJSON file. Result pages are appended
+ * to a partial file as they arrive, and the job and page token after each page are
+ * recorded in RESUME_FILE, so an interrupted export picks up from the last page written
+ * while the job's results are still kept (about a day). The output file is only replaced
+ * once every page is in.
+ * @param {Object} config - The `fetchData` stage config.
+ */
+export async function fetchData(config) {
+  CONFIG = config;
+  const projectId = CONFIG.PROJECT_ID;
   console.log('🚀 Starting BigQuery data download...');
 
   try {
@@ -27,29 +118,96 @@ async function downloadBigQueryTable() {
     console.log(`✅ Authenticated and initialized BigQuery client for project: ${projectId}`);
 
     // 2. Construct the SQL query.
-    // This query selects all columns from the specified table.
-    // For very large tables, consider using `LIMIT` or selecting specific columns.
-    const query = `SELECT * FROM \`${tableId}\``;
-    console.log('Executing query...');
-    console.log(`   ${query}`);
-
-    const options = {
-      query: query,
+    const { query, params, description } = await buildQuery();
+    console.log(`Querying ${description}...`);
+    const queryOptions = {
+      query,
+      params,
       // Location must match that of the dataset.
-      // 'US' is the multi-region location for this public dataset.
-      location: 'US',
+      location: CONFIG.LOCATION,
+      maximumBytesBilled: CONFIG.MAX_BYTES_BILLED ? String(CONFIG.MAX_BYTES_BILLED) : undefined,
     };
 
-    // 3. Run the query.
-    const [rows] = await bigquery.query(options);
-    console.log(`📊 Successfully fetched ${rows.length} rows from BigQuery.`);
+    // 3. Estimate the bytes scanned without running it.
+    if (CONFIG.DRY_RUN) {
+      const [job] = await bigquery.createQueryJob({ ...queryOptions, dryRun: true });
+      const bytes = job.metadata.statistics.totalBytesProcessed;
+      console.log(`📏 Dry run: the query would scan ${formatBytes(bytes)} (${bytes} bytes).`);
+      return;
+    }
+
+    // 4. Resume the interrupted export of the same query, or start the query.
+    const queryKey = crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ query, params, location: CONFIG.LOCATION }))
+      .digest('hex');
+    const partialFile = `${CONFIG.OUTPUT_FILE}.partial`;
+    let state = CONFIG.RESTART ? null : await readResumeState(queryKey);
+    let job;
+    if (state) {
+      job = bigquery.job(state.jobId, { location: state.location });
+      try {
+        await job.getMetadata();
+        // Drop anything written after the last recorded page
+        await fs.truncate(partialFile, state.bytes);
+        console.log(`📓 Resuming: ${state.rowCount} rows already exported by job ${state.jobId}.`);
+      } catch (e) {
+        if (e.code !== 404 && e.code !== 'ENOENT') throw e;
+        console.log('🔄 The interrupted export can no longer be resumed, starting over.');
+        state = null;
+      }
+    }
+    if (!state) {
+      [job] = await bigquery.createQueryJob(queryOptions);
+      state = {
+        queryKey,
+        jobId: job.id,
+        location: job.location,
+        pageToken: null,
+        rowCount: 0,
+        bytes: 0,
+      };
+      await fs.writeFile(partialFile, '');
+      await fs.writeFile(CONFIG.RESUME_FILE, JSON.stringify(state, null, 2));
+      console.log(`Started job ${job.id}.`);
+    }
 
-    // 4. Save the data to a JSON file.
-    // We use JSON.stringify with a replacer (null) and space (2) for pretty-printing.
-    const jsonData = JSON.stringify(rows, null, 2);
-    await fs.writeFile(outputFilePath, jsonData);
+    // 5. Stream the result pages to the partial file, one JSON row per line. Pages are
+    // requested one by one rather than with createQueryStream, which hides their tokens.
+    const output = await fs.open(partialFile, 'a');
+    try {
+      let pageToken = state.pageToken;
+      while (true) {
+        const [rows, nextQuery] = await job.getQueryResults({
+          autoPaginate: false,
+          maxResults: CONFIG.PAGE_SIZE,
+          pageToken: pageToken || undefined,
+        });
+        if (rows.length > 0) {
+          const lines = rows.map((row) => `${JSON.stringify(row)}\n`).join('');
+          await output.write(lines);
+          await output.sync();
+          state.bytes += Buffer.byteLength(lines);
+          state.rowCount += rows.length;
+        }
+        // Without a page token while the job is still running, the same call waits for it
+        pageToken = nextQuery?.pageToken || null;
+        if (pageToken || rows.length > 0) {
+          state.pageToken = pageToken;
+          await fs.writeFile(CONFIG.RESUME_FILE, JSON.stringify(state, null, 2));
+          console.log(`📥 ${state.rowCount} rows exported...`);
+        }
+        if (!nextQuery) break;
+      }
+    } finally {
+      await output.close();
+    }
 
-    console.log(`💾 Data successfully saved to ${outputFilePath}`);
+    // 6. Swap the complete export in.
+    await fs.rename(partialFile, CONFIG.OUTPUT_FILE);
+    await fs.rm(CONFIG.RESUME_FILE, { force: true });
+    console.log(`📊 Successfully fetched ${state.rowCount} rows from BigQuery.`);
+    console.log(`💾 Data successfully saved to ${CONFIG.OUTPUT_FILE}`);
   } catch (error) {
     console.error('❌ An error occurred:', error.message);
     if (error.code === 7 || (error.message && error.message.includes('accessDenied'))) {
@@ -62,8 +220,6 @@ async function downloadBigQueryTable() {
         '3. The BigQuery API is enabled for your project: https://console.cloud.google.com/apis/library/bigquery.googleapis.com',
       );
     }
-    process.exit(1);
+    throw error;
   }
 }
-
-downloadBigQueryTable();
@@ -1,19 +1,36 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { existsSync } from 'fs';
 import sharp from 'sharp';
 import { sharpsFromIco } from 'sharp-ico';
-import { Command } from 'commander';
-import { getDomain, getIconRelativePath, loadIconMtimes } from './utils.js';
-
-const program = new Command();
-
-program
-  .option('--start <number>', 'Start index', (val) => parseInt(val, 10), 0)
-  .option('--end <number>', 'End index', (val) => parseInt(val, 10), 1000000);
-
-program.parse();
-const options = program.opts();
+import {
+  getDomain,
+  isSameSite,
+  getIconRelativePath,
+  getIconHistoryRelativePath,
+  loadIconMtimes,
+  hashContent,
+  streamEntries,
+  writeEntries,
+  ensureDir,
+} from './utils.js';
+import { discoverIconCandidates } from './favicon-discovery.js';
+import {
+  isSvg,
+  assertSafeSvg,
+  sharpFromSvg,
+  selectIcoFrame,
+  sniffImageFormat,
+  assertNotBlank,
+  createIconError,
+  ICON_ERROR_STATUSES,
+  JUNK_STATUSES,
+} from './icon-formats.js';
+import { classifyFailure, describeError, scheduleRetry } from './retry-policy.js';
+import { fetchWithFallbacks } from './http-fetch.js';
+import { createHostScheduler } from './host-scheduler.js';
+import { createRobotsChecker } from './robots.js';
+import { readJournal, openJournal, removeJournal } from './journal.js';
+import { loadExclusions } from './exclusions.js';
 
 const colors = {
   reset: '\x1b[0m',
@@ -24,28 +41,11 @@ const colors = {
 };
 
 // --- Configuration ---
-const CONFIG = {
-  INPUT_FILE: 'favicons-processed.json',
-  OUTPUT_FILE: 'favicons-downloaded.json',
-  ICONS_DIR: 'icons',
-  START_INDEX: options.start,
-  END_INDEX: options.end,
-  SAVE_INTERVAL_MS: 3 * 60 * 1000, // 3 minutes
-  MAX_RETRIES: 3,
-  USER_AGENT: 'Mozilla/5.0 (compatible; FaviconDownloader/1.0)',
-  TIMEOUT_MS: 10000,
-  TARGET_SIZE: 32,
-  SKIP_DOWNLOAD_PERIOD_MS: 90 * 24 * 60 * 60 * 1000,
-  CONCURRENCY: 10,
-};
-
-async function ensureDir(dir) {
-  try {
-    await fs.access(dir);
-  } catch {
-    await fs.mkdir(dir, { recursive: true });
-  }
-}
+// Set from the `download` section of favicons.config.js when the stage runs
+let CONFIG;
+let hostScheduler;
+let robots;
+let exclusions;
 
 async function runWithConcurrency(tasks, concurrency, taskHandler) {
   const results = [];
@@ -67,96 +67,476 @@ async function runWithConcurrency(tasks, concurrency, taskHandler) {
   return Promise.all(results);
 }
 
-async function loadJSON(filePath) {
+/**
+ * Tells where a recorded favicon URL came from: the conventional /favicon.ico
+ * location or an explicit link in the page's HTML.
+ * @param {string} faviconUrl - The absolute favicon URL.
+ * @returns {'html'|'default'}
+ */
+function getFaviconSource(faviconUrl) {
   try {
-    const data = await fs.readFile(filePath, 'utf-8');
-    const parsed = JSON.parse(data);
-    if (!Array.isArray(parsed)) {
-      console.warn('⚠️ Input file is not an array, defaulting to empty list.');
-      return [];
-    }
-    return parsed;
-  } catch (error) {
-    if (error.code === 'ENOENT') return null;
-    console.warn(`⚠️ Failed to read/parse input file: ${error.message}. Defaulting to empty list.`);
-    return [];
+    return new URL(faviconUrl).pathname === '/favicon.ico' ? 'default' : 'html';
+  } catch (e) {
+    return 'html';
   }
 }
 
-async function saveProgress(inputEntries, results, stateMap, outputFile) {
-  const tempFile = `${outputFile}.${Date.now()}.tmp`;
-  const resultMap = new Map(results.map((r) => [r.url, r]));
+/**
+ * Resets the retry state of an entry after a successful check.
+ * @param {Object} metadata - The entry being updated.
+ */
+function clearFailures(metadata) {
+  metadata.failureCount = 0;
+  delete metadata.errorCategory;
+  delete metadata.nextEligibleTime;
+}
 
-  const finalOutput = inputEntries.map((entry) => {
-    // Is this entry in our current batch results?
-    const newResult = resultMap.get(entry.url);
-    if (newResult) return newResult;
+/**
+ * Path of the icon variant of the given size. The smallest size is the base icon
+ * and has no size suffix, so existing icons and tiles keep working.
+ */
+function getIconPath(pageUrl, size) {
+  const isBase = size === CONFIG.TARGET_SIZES[0];
+  return path.join(CONFIG.ICONS_DIR, getIconRelativePath(pageUrl, isBase ? {} : { size }));
+}
 
-    // If not, do we have old state?
-    const oldState = stateMap.get(entry.url);
-    if (oldState) return oldState;
+/**
+ * Decodes a downloaded icon and renders it as PNG buffers in every TARGET_SIZES resolution.
+ * Nothing is written to disk, so junk payloads never replace a good icon.
+ * @returns {Promise<{format: string, icoFrames: Object|null, renders: Map<number, Buffer>}>} The
+ *   source format, the ICO frame picked for each size (ICO only) and the PNG for each size.
+ */
+async function renderIcon(imageBuffer, contentType, faviconUrl) {
+  if (imageBuffer.length === 0) {
+    throw createIconError('EMPTY_BODY', 'Empty response body');
+  }
 
-    // Otherwise just the original entry
-    return entry;
-  });
+  const renders = new Map();
+  const sniffedFormat = sniffImageFormat(imageBuffer);
+  if (sniffedFormat === 'html') {
+    throw createIconError('INVALID_HTML', 'Got an HTML page instead of an image');
+  }
+
+  if (sniffedFormat === 'svg' || (!sniffedFormat && isSvg(imageBuffer, contentType))) {
+    assertSafeSvg(imageBuffer);
+    // Render each size from the vector source rather than scaling one raster
+    for (const size of CONFIG.TARGET_SIZES) {
+      const svgInstance = await sharpFromSvg(imageBuffer, size);
+      // 'contain' keeps non-square artwork whole instead of cropping it
+      const rendered = await svgInstance
+        .resize(size, size, {
+          fit: 'contain',
+          background: { r: 0, g: 0, b: 0, alpha: 0 },
+        })
+        .png()
+        .toBuffer();
+      renders.set(size, rendered);
+    }
+    return { format: 'svg', icoFrames: null, renders };
+  }
 
-  const jsonContent = JSON.stringify(finalOutput, null, 2);
+  // Determine if it's an ICO. The magic bytes win over what the server claims.
+  const isIco =
+    sniffedFormat === 'ico' ||
+    (!sniffedFormat &&
+      ((contentType && contentType.includes('ico')) ||
+        (faviconUrl && path.extname(new URL(faviconUrl).pathname).toLowerCase() === '.ico')));
 
+  if (isIco) {
+    try {
+      // With resolveWithObject, each frame comes with its size, bit depth and type (png/bmp)
+      const frames = sharpsFromIco(imageBuffer, undefined, true);
+
+      if (frames.length > 0) {
+        // Each size gets its own frame, hand-hinted small frames beat a downscaled 256px one
+        const icoFrames = {};
+        for (const size of CONFIG.TARGET_SIZES) {
+          const frame = selectIcoFrame(frames, size);
+          icoFrames[size] = {
+            width: frame.width,
+            height: frame.height,
+            bpp: frame.bpp,
+            type: frame.type,
+          };
+          // 'contain' keeps non-square frames undistorted
+          const rendered = await frame.image
+            .clone()
+            .resize(size, size, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+            .png()
+            .toBuffer();
+          renders.set(size, rendered);
+        }
+        return { format: 'ico', icoFrames, renders };
+      }
+    } catch (icoError) {
+      console.warn(
+        `${colors.yellow}  Warning: Failed to parse ICO, falling back to standard sharp: ${icoError.message}${colors.reset}`,
+      );
+    }
+  }
+
+  // Fallback to standard sharp if not ICO or ICO parsing failed
+  const sharpInstance = sharp(imageBuffer);
+  const { format } = await sharpInstance.metadata();
+
+  for (const size of CONFIG.TARGET_SIZES) {
+    renders.set(size, await sharpInstance.clone().resize(size, size).png().toBuffer());
+  }
+  return { format, icoFrames: null, renders };
+}
+
+/**
+ * Writes a file unless it already holds exactly these bytes, so unchanged icons
+ * keep their mtime.
+ * @returns {Promise<boolean>} True if the file was written.
+ */
+async function writeIfChanged(filePath, content) {
   try {
-    // Write to temp file
-    await fs.writeFile(tempFile, jsonContent);
+    const existing = await fs.readFile(filePath);
+    if (existing.equals(content)) return false;
+  } catch (e) {
+    // Missing file, write it
+  }
+  await fs.writeFile(filePath, content);
+  return true;
+}
+
+/**
+ * Copies a domain's current icon files into the history directory before they get
+ * replaced. The version is stamped with the base icon's mtime, i.e. when it was saved.
+ * @returns {Promise<{time: string, path: string}|null>} The archived version (path relative
+ *   to HISTORY_DIR), or null if there was no icon.
+ */
+async function archiveIcon(pageUrl) {
+  let stats;
+  try {
+    stats = await fs.stat(getIconPath(pageUrl, CONFIG.TARGET_SIZES[0]));
+  } catch (e) {
+    return null;
+  }
+  const time = new Date(stats.mtimeMs).toISOString();
 
-    // Verify integrity by reading it back and parsing
-    const readBack = await fs.readFile(tempFile, 'utf-8');
-    JSON.parse(readBack);
+  for (const [i, size] of CONFIG.TARGET_SIZES.entries()) {
+    const historyPath = path.join(
+      CONFIG.HISTORY_DIR,
+      getIconHistoryRelativePath(pageUrl, time, i === 0 ? {} : { size }),
+    );
+    await ensureDir(path.dirname(historyPath));
+    try {
+      await fs.copyFile(getIconPath(pageUrl, size), historyPath);
+    } catch (e) {
+      // Icons saved before sized variants existed only have the base size
+    }
+  }
 
-    // Rename to final file if verification passes
-    await fs.rename(tempFile, outputFile);
-    console.log(
-      `\n💾 Checkpoint: Saved ${finalOutput.length} entries (processed ${results.length}) to ${outputFile}`,
+  return { time, path: getIconHistoryRelativePath(pageUrl, time) };
+}
+
+/**
+ * Validates a downloaded icon and writes its PNGs in every TARGET_SIZES resolution
+ * to the domain's icon path. SVG originals are kept next to the PNGs.
+ * When the base icon changes, the previous version is archived first.
+ * @returns {Promise<{outputPath: string, format: string, icoFrames: Object|null, iconHash: string, changed: boolean, archived: Object|null}>}
+ *   Where the base PNG went, the source format, for ICO files the frame picked for each size,
+ *   the hash of the rendered PNGs, whether anything on disk changed and the archived version.
+ */
+async function saveIcon(imageBuffer, contentType, faviconUrl, pageUrl) {
+  const { format, icoFrames, renders } = await renderIcon(imageBuffer, contentType, faviconUrl);
+  const iconHash = hashContent(...renders.values());
+
+  // Blank, single-color and fully transparent icons would only leave holes in the tiles
+  await assertNotBlank(renders.get(CONFIG.TARGET_SIZES[0]));
+
+  const outputPath = getIconPath(pageUrl, CONFIG.TARGET_SIZES[0]);
+  const svgPath = path.join(CONFIG.ICONS_DIR, getIconRelativePath(pageUrl, { extension: 'svg' }));
+  await ensureDir(path.dirname(outputPath));
+
+  let archived = null;
+  try {
+    const existing = await fs.readFile(outputPath);
+    if (!existing.equals(renders.get(CONFIG.TARGET_SIZES[0]))) {
+      archived = await archiveIcon(pageUrl);
+    }
+  } catch (e) {
+    // No icon yet, nothing to archive
+  }
+
+  let changed = false;
+  for (const [size, rendered] of renders) {
+    if (await writeIfChanged(getIconPath(pageUrl, size), rendered)) changed = true;
+  }
+
+  if (format === 'svg') {
+    await writeIfChanged(svgPath, imageBuffer);
+  } else {
+    // The icon is no longer an SVG, don't leave a stale original behind
+    await fs.rm(svgPath, { force: true });
+  }
+
+  return { outputPath, format, icoFrames, iconHash, changed, archived };
+}
+
+/**
+ * Fetches a single favicon URL and saves it on success. A 200 response with the same
+ * payload as last time counts as not modified, for servers that ignore conditional requests.
+ * @param {string} faviconUrl - The icon to fetch.
+ * @param {Object} headers - Request headers.
+ * @param {string} pageUrl - The page the icon belongs to.
+ * @param {string|null} previousPayloadHash - Payload hash of the icon currently on disk.
+ * @returns {Promise<{status: string, httpStatus?: number, error?: string, headers?: Headers,
+ *   finalUrl?: string, redirects?: Array<{url: string, status: number}>}>}
+ */
+async function attemptDownload(faviconUrl, headers, pageUrl, previousPayloadHash) {
+  try {
+    if (!(await robots.isAllowed(faviconUrl))) {
+      console.warn(`${colors.yellow}  Disallowed by robots.txt${colors.reset}`);
+      return { status: 'robots_disallowed', error: 'Disallowed by robots.txt' };
+    }
+
+    const { response, url, redirects, fallbackUrl, retryAfter } = await fetchWithFallbacks(
+      faviconUrl,
+      {
+        headers,
+        timeoutMs: CONFIG.TIMEOUT_MS,
+        maxRedirects: CONFIG.MAX_REDIRECTS,
+        scheduler: hostScheduler,
+        maxRetryAfterMs: CONFIG.MAX_RETRY_AFTER_MS,
+      },
     );
-  } catch (error) {
-    console.error(`❌ Failed to save progress: ${error.message}`);
-    // Attempt to clean up temp file if it exists
+    const location = { finalUrl: url, redirects };
+
+    if (fallbackUrl) {
+      console.log(`${colors.yellow}  Failed, answered on ${fallbackUrl}${colors.reset}`);
+    }
+    if (redirects.length > 0) {
+      console.log(
+        `${colors.grey}  Followed ${redirects.length} redirect(s) to ${url}${colors.reset}`,
+      );
+    }
+
+    // Bodies left unread would hold their socket until collected, with more candidates to try
+    if (response.status === 304) {
+      await response.body?.cancel().catch(() => {});
+      console.log(`${colors.green}  Make: 304 Not Modified. (No change)${colors.reset}`);
+      return { status: 'not_modified', httpStatus: 304, ...location };
+    }
+
+    if (response.status !== 200) {
+      await response.body?.cancel().catch(() => {});
+      console.warn(
+        `${colors.red}  Warning: HTTP ${response.status} - ${response.statusText}${colors.reset}`,
+      );
+      return {
+        status: 'failed',
+        httpStatus: response.status,
+        error: `HTTP ${response.status}`,
+        retryAfter: retryAfter ? new Date(retryAfter).toISOString() : null,
+        ...location,
+      };
+    }
+
+    console.log(`${colors.green}  Make: 200 OK. Downloading...${colors.reset}`);
+
+    const buffer = await response.arrayBuffer();
+    const imageBuffer = Buffer.from(buffer);
+    const payloadHash = hashContent(imageBuffer);
+
+    if (previousPayloadHash && payloadHash === previousPayloadHash) {
+      console.log(`${colors.green}  Payload unchanged. (No change)${colors.reset}`);
+      return {
+        status: 'not_modified',
+        httpStatus: 200,
+        headers: response.headers,
+        ...location,
+      };
+    }
+
+    // Resize and Save
+    const { outputPath, format, icoFrames, iconHash, changed, archived } = await saveIcon(
+      imageBuffer,
+      response.headers.get('content-type'),
+      url,
+      pageUrl,
+    );
+
+    if (archived) {
+      console.log(
+        `${colors.green}  Icon changed, archived version from ${archived.time}${colors.reset}`,
+      );
+    }
+    if (changed) {
+      console.log(`${colors.green}  Saved to ${outputPath}${colors.reset}`);
+    } else {
+      console.log(`${colors.green}  Output unchanged, kept ${outputPath}${colors.reset}`);
+    }
+
+    return {
+      status: 'downloaded',
+      httpStatus: 200,
+      headers: response.headers,
+      format,
+      icoFrames,
+      payloadHash,
+      iconHash,
+      archived,
+      ...location,
+    };
+  } catch (e) {
+    console.error(`${colors.red}  Error: ${e.message}${colors.reset}`);
+    if (ICON_ERROR_STATUSES[e.code]) {
+      return { status: ICON_ERROR_STATUSES[e.code], httpStatus: 200, error: e.message };
+    }
+    return {
+      status: 'error',
+      error: describeError(e),
+      // Set when the host is still backing off after a Retry-After
+      retryAfter: e.retryAfter ? new Date(e.retryAfter).toISOString() : null,
+    };
+  }
+}
+
+/**
+ * Checkpoints results into the state file. The file is streamed through, so only the
+ * results and the states asked for are held in memory: entries with a result are
+ * replaced, entries whose URL left the input are dropped and new ones are appended.
+ * @param {Map<string, Object>} results - Results since the last checkpoint, by URL.
+ * @param {Set<string>} inputUrls - The URL of every input entry.
+ * @param {Set<string>} [wanted] - URLs whose checkpointed state to return.
+ * @returns {Promise<Map<string, Object>>} The state of each wanted URL that has one.
+ */
+async function saveProgress(results, inputUrls, wanted = new Set()) {
+  const states = new Map();
+  let savedCount = 0;
+
+  async function* mergedEntries() {
+    const pending = new Map(results);
+    const keep = (entry) => {
+      if (wanted.has(entry.url)) states.set(entry.url, entry);
+      savedCount++;
+      return entry;
+    };
     try {
-      if (existsSync(tempFile)) await fs.unlink(tempFile);
-    } catch (cleanupError) {
-      console.error(`⚠️ Failed to cleanup temp file: ${cleanupError.message}`);
+      for await (const state of streamEntries(CONFIG.OUTPUT_FILE)) {
+        if (!inputUrls.has(state.url)) continue;
+        yield keep(pending.get(state.url) || state);
+        pending.delete(state.url);
+      }
+    } catch (e) {
+      // No state file yet on the first run
+      if (e.code !== 'ENOENT') throw e;
+    }
+    for (const result of pending.values()) {
+      if (inputUrls.has(result.url)) yield keep(result);
+    }
+  }
+
+  await writeEntries(CONFIG.OUTPUT_FILE, mergedEntries());
+  if (results.size > 0) {
+    console.log(
+      `\n💾 Saved ${savedCount} entries (${results.size} new results) to ${CONFIG.OUTPUT_FILE}`,
+    );
+  }
+  return states;
+}
+
+/**
+ * Removes temp files left behind by saves that were interrupted mid-write.
+ * @param {string} outputFile - The file the temp files were written for.
+ */
+async function removeStaleTempFiles(outputFile) {
+  const dir = path.dirname(outputFile);
+  const prefix = `${path.basename(outputFile)}.`;
+  const files = await fs.readdir(dir);
+  for (const file of files) {
+    if (file.startsWith(prefix) && file.endsWith('.tmp')) {
+      console.log(`🧹 Removing stale temp file ${file}`);
+      await fs.rm(path.join(dir, file), { force: true });
     }
   }
 }
 
-async function downloadFavicons() {
+/**
+ * Downloads the favicons of the processed entries in [START_INDEX, END_INDEX).
+ * @param {Object} config - The `download` stage config.
+ */
+export async function downloadFavicons(config) {
+  CONFIG = config;
+  hostScheduler = createHostScheduler({
+    maxConcurrentPerHost: CONFIG.MAX_CONCURRENT_PER_HOST,
+    minIntervalMs: CONFIG.MIN_HOST_INTERVAL_MS,
+    maxWaitMs: CONFIG.MAX_RETRY_AFTER_MS,
+  });
+  robots = createRobotsChecker({
+    userAgent: CONFIG.USER_AGENT,
+    timeoutMs: CONFIG.TIMEOUT_MS,
+    scheduler: hostScheduler,
+  });
+
   console.log('🚀 Starting favicon download process...');
+  // Rules added since processing still apply, so takedowns don't wait for a reprocess
+  exclusions = await loadExclusions(CONFIG.EXCLUSIONS_FILE);
 
   // 1. Setup
   await ensureDir(CONFIG.ICONS_DIR);
   const iconMtimes = await loadIconMtimes(CONFIG.ICONS_DIR);
 
-  const inputEntries = await loadJSON(CONFIG.INPUT_FILE);
-  if (!inputEntries) {
-    console.error(`❌ Input file ${CONFIG.INPUT_FILE} not found.`);
-    process.exit(1);
-  }
-
-  // Load previous state if available to get ETags/Last-Modified
-  let previousState = [];
+  // Only the URLs are kept, to drop the state of entries that left the input
+  const inputUrls = new Set();
   try {
-    previousState = (await loadJSON(CONFIG.OUTPUT_FILE)) || [];
+    for await (const entry of streamEntries(CONFIG.INPUT_FILE)) inputUrls.add(entry.url);
   } catch (e) {
-    console.warn(`⚠️ Failed to parse previous state file: ${e.message}. Starting fresh.`);
-    previousState = [];
+    if (e.code === 'ENOENT') throw new Error(`Input file ${CONFIG.INPUT_FILE} not found.`);
+    throw e;
+  }
+  await removeStaleTempFiles(CONFIG.OUTPUT_FILE);
+
+  // An interrupted run left a checkpoint (how far its range got) and the results since,
+  // they're merged first and not processed again
+  let nextIndex = CONFIG.START_INDEX;
+  const results = new Map();
+  for (const record of await readJournal(CONFIG.JOURNAL_FILE)) {
+    if (!record.checkpoint) {
+      results.set(record.url, record);
+      continue;
+    }
+    const { startIndex, endIndex } = record.checkpoint;
+    if (startIndex === CONFIG.START_INDEX && endIndex === CONFIG.END_INDEX) {
+      nextIndex = record.checkpoint.nextIndex;
+    }
+  }
+  const resumedUrls = new Set(results.keys());
+  if (nextIndex > CONFIG.START_INDEX || resumedUrls.size > 0) {
+    console.log(
+      `📓 Resuming from entry ${nextIndex}: ${resumedUrls.size} more entries already done in the journal.`,
+    );
   }
-
-  const stateMap = new Map(previousState.map((e) => [e.url, e]));
 
   // 2. Identify targets
   // We process entries from the input list (which is ranked) within the specified range.
-  const targets = inputEntries.slice(CONFIG.START_INDEX, CONFIG.END_INDEX);
-  console.log(`📊 Processing entries from ${CONFIG.START_INDEX} to ${CONFIG.END_INDEX} (${targets.length} total).`);
+  const endIndex = Math.min(CONFIG.END_INDEX, inputUrls.size);
+  console.log(
+    `📊 Processing entries from ${nextIndex} to ${endIndex} (${Math.max(endIndex - nextIndex, 0)} total).`,
+  );
 
-  const results = [];
+  const journal = openJournal(CONFIG.JOURNAL_FILE);
   let processedCount = 0;
+  // Previous state of the current batch's entries
+  let stateMap;
+
+  // First signal: stop taking new entries, let in-flight ones finish into the journal.
+  // Second signal: exit right away, the journal already has every finished entry.
+  let stopSignal = null;
+  const onSignal = (signal) => {
+    if (stopSignal) {
+      console.log(`\n⛔ ${signal} again, exiting without waiting.`);
+      journal.close();
+      process.exit(1);
+    }
+    stopSignal = signal;
+    console.log(`\n🛑 ${signal} received, finishing in-flight entries before exiting...`);
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
 
   const processEntry = async (entry) => {
     const domain = getDomain(entry.url);
@@ -173,9 +553,27 @@ async function downloadFavicons() {
     }
 
     let prevEntry = stateMap.get(entry.url);
+    if (prevEntry) {
+      // How the crawl clients compare comes from the latest processing, even when skipping
+      const { clients, clientFavicons, clientsDiffer } = entry;
+      prevEntry = { ...prevEntry, clients, clientFavicons, clientsDiffer };
+    }
 
     console.log(`\nProcessing [Rank ${entry.rank}] ${domain}...`);
 
+    const exclusion = exclusions.match(entry.url);
+    if (exclusion) {
+      console.log(
+        `${colors.grey}  Skipping: Excluded by ${exclusion.id} (${exclusion.category})${colors.reset}`,
+      );
+      return { ...(prevEntry || entry), status: 'excluded', excludedBy: exclusion.id };
+    }
+    if (prevEntry?.excludedBy) {
+      // The rule is gone, the site is processed again like any other
+      const { excludedBy, ...rest } = prevEntry;
+      prevEntry = rest;
+    }
+
     // Prepare Headers
     const headers = {
       'User-Agent': CONFIG.USER_AGENT,
@@ -205,27 +603,53 @@ async function downloadFavicons() {
           prevEntry.httpStatus = 200;
         }
 
-        // Update the map so other concurrent tasks (if any for same URL) or saveProgress see it
+        // Update the map so other concurrent tasks (if any for same URL) see it
         stateMap.set(entry.url, prevEntry);
       }
     }
 
+    // Icons saved before all sizes were stored need a full download, not a 304
+    const hasAllSizes = CONFIG.TARGET_SIZES.every((size, i) =>
+      iconMtimes.has(getIconRelativePath(entry.url, i === 0 ? {} : { size })),
+    );
+    const missingSizes = !hasAllSizes && iconMtimes.has(getIconRelativePath(entry.url));
+
     if (prevEntry) {
-      if (prevEntry.failureCount && prevEntry.failureCount >= CONFIG.MAX_RETRIES) {
-        console.log(
-          `${colors.grey}  Skipping: Exceeded max retries (${prevEntry.failureCount})${colors.reset}`,
-        );
-        return {
-          ...prevEntry,
-          status: 'skipped_max_retries',
-        };
+      const failureCount = prevEntry.failureCount || 0;
+      if (failureCount > 0) {
+        // Junk icons keep their status so they stay out of the tiles and show up in stats
+        const isJunk = JUNK_STATUSES.includes(prevEntry.status);
+        const category = prevEntry.errorCategory || classifyFailure(prevEntry);
+
+        if (scheduleRetry(category, failureCount).dead) {
+          console.log(
+            `${colors.grey}  Skipping: Gave up after ${failureCount} ${category} failures${colors.reset}`,
+          );
+          return {
+            ...prevEntry,
+            status: isJunk ? prevEntry.status : 'skipped_max_retries',
+          };
+        }
+
+        if (prevEntry.nextEligibleTime && Date.now() < new Date(prevEntry.nextEligibleTime)) {
+          console.log(
+            `${colors.grey}  Skipping: ${category} cooldown until ${prevEntry.nextEligibleTime}${colors.reset}`,
+          );
+          return {
+            ...prevEntry,
+            status: isJunk ? prevEntry.status : 'skipped_backoff',
+          };
+        }
       }
 
-      if (prevEntry.etag) headers['If-None-Match'] = prevEntry.etag;
-      if (prevEntry.lastModified) headers['If-Modified-Since'] = prevEntry.lastModified;
+      if (!missingSizes) {
+        if (prevEntry.etag) headers['If-None-Match'] = prevEntry.etag;
+        if (prevEntry.lastModified) headers['If-Modified-Since'] = prevEntry.lastModified;
+      }
 
-      // Check if we checked this recently (within config period)
-      if (prevEntry.lastCheckTime) {
+      // Check if we checked this recently (within config period).
+      // Failing entries follow their cooldown instead.
+      if (prevEntry.lastCheckTime && !missingSizes && !failureCount) {
         const lastCheck = new Date(prevEntry.lastCheckTime).getTime();
         const now = Date.now();
         const skipPeriod = CONFIG.SKIP_DOWNLOAD_PERIOD_MS;
@@ -243,111 +667,153 @@ async function downloadFavicons() {
     }
 
     const startTime = Date.now();
-    let status = 'skipped';
-    let error = null;
     let metadata = { ...entry, ...prevEntry }; // Start with existing data
     delete metadata.localPath; // Cleanup legacy field
+    if (entry.faviconCandidates) metadata.faviconCandidates = entry.faviconCandidates;
+
+    // Conditional headers only apply to the URL they were received for, which is
+    // the one that succeeded last time (possibly found through discovery).
+    // After that come the ranked candidates from processing, best first.
+    const candidates = [];
+    const addCandidate = (url, source, foundOn = null) => {
+      if (url && !candidates.some((c) => c.url === url)) candidates.push({ url, source, foundOn });
+    };
+    if (prevEntry && prevEntry.resolvedFavicon) {
+      addCandidate(prevEntry.resolvedFavicon, prevEntry.faviconSource, prevEntry.faviconFoundOn);
+    }
+    for (const candidate of entry.faviconCandidates || []) {
+      addCandidate(candidate.url, getFaviconSource(candidate.url));
+    }
+    addCandidate(faviconUrl, getFaviconSource(faviconUrl));
+
+    let outcome = null;
+    let primaryFailure = null;
+    let discovered = false;
+
+    for (let i = 0; ; i++) {
+      if (i >= candidates.length) {
+        if (discovered) break;
+        discovered = true;
+
+        console.log(`${colors.grey}  Discovering icons from ${entry.url}...${colors.reset}`);
+        const found = await discoverIconCandidates(entry.url, {
+          userAgent: CONFIG.USER_AGENT,
+          timeoutMs: CONFIG.TIMEOUT_MS,
+          targetSize: CONFIG.TARGET_SIZES[0],
+          scheduler: hostScheduler,
+          robots,
+        });
+        found.forEach((c) => addCandidate(c.url, c.source, c.foundOn));
+        if (i >= candidates.length) break;
+      }
 
-    try {
-      if (!faviconUrl) {
-        throw new Error('No favicon URL available');
+      const candidate = candidates[i];
+      if (i > 0) {
+        console.log(
+          `${colors.grey}  Trying ${candidate.source} candidate ${candidate.url}${colors.reset}`,
+        );
       }
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), CONFIG.TIMEOUT_MS);
 
-      const response = await fetch(faviconUrl, {
-        method: 'GET',
-        headers: headers,
-        signal: controller.signal,
-      });
+      outcome = await attemptDownload(
+        candidate.url,
+        i === 0 ? headers : { 'User-Agent': CONFIG.USER_AGENT },
+        entry.url,
+        hasAllSizes ? metadata.payloadHash : null,
+      );
+
+      if (outcome.status === 'downloaded' || outcome.status === 'not_modified') {
+        metadata.resolvedFavicon = candidate.url;
+        metadata.faviconSource = candidate.source;
+        metadata.faviconFoundOn = candidate.foundOn;
+        metadata.finalFaviconUrl = outcome.finalUrl;
+        metadata.redirectChain = outcome.redirects;
+        // Parked and sold domains redirect to some other site, whose icon isn't this site's.
+        // Icons discovered on a page that redirected elsewhere are just as foreign.
+        metadata.crossDomainRedirect =
+          (outcome.redirects.length > 0 && !isSameSite(entry.url, outcome.finalUrl)) ||
+          (!!candidate.foundOn && !isSameSite(entry.url, candidate.foundOn));
+        if (metadata.crossDomainRedirect) {
+          console.log(
+            `${colors.yellow}  Cross-domain redirect to ${candidate.foundOn || outcome.finalUrl}${colors.reset}`,
+          );
+        }
+        break;
+      }
 
-      clearTimeout(timeoutId);
+      if (!primaryFailure) primaryFailure = outcome;
+    }
 
-      metadata.lastCheckTime = new Date().toISOString();
-      metadata.httpStatus = response.status;
-
-      if (response.status === 304) {
-        console.log(`${colors.green}  Make: 304 Not Modified. (No change)${colors.reset}`);
-        status = 'not_modified';
-        metadata.failureCount = 0; // Reset on success
-      } else if (response.status === 200) {
-        console.log(`${colors.green}  Make: 200 OK. Downloading...${colors.reset}`);
-
-        const buffer = await response.arrayBuffer();
-        const imageBuffer = Buffer.from(buffer);
-
-        // Resize and Save
-        const relativePath = getIconRelativePath(entry.url);
-        const outputPath = path.join(CONFIG.ICONS_DIR, relativePath);
-        await ensureDir(path.dirname(outputPath));
-
-        // Determine if it's an ICO
-        const isIco =
-          (metadata.contentType && metadata.contentType.includes('ico')) ||
-          (faviconUrl && path.extname(new URL(faviconUrl).pathname).toLowerCase() === '.ico');
-
-        let sharpInstance;
-
-        if (isIco) {
-          try {
-            // sharpsFromIco returns an array of sharp instances (one for each size in the ICO)
-            const icons = await sharpsFromIco(imageBuffer);
-
-            if (icons.length > 0) {
-              // Find the best icon: preferably >= 32x32.
-              // We need to inspect metadata of each to know size.
-              // Since we can't await inside sort effectively without resolving first,
-              // let's just get metadata for all.
-              const iconsWithMeta = await Promise.all(
-                icons.map(async (icon) => {
-                  const meta = await icon.metadata();
-                  return { icon, width: meta.width, height: meta.height };
-                }),
-              );
-
-              // Sort by width descending to get the largest one
-              iconsWithMeta.sort((a, b) => b.width - a.width);
-
-              // Or find closest to 32? Let's just take the largest and resize down for best quality.
-              sharpInstance = iconsWithMeta[0].icon;
-            }
-          } catch (icoError) {
-            console.warn(
-              `${colors.yellow}  Warning: Failed to parse ICO, falling back to standard sharp: ${icoError.message}${colors.reset}`,
-            );
-          }
-        }
+    if (!outcome) {
+      outcome = { status: 'error', error: 'No favicon URL available' };
+    }
 
-        // Fallback to standard sharp if not ICO or ICO parsing failed
-        if (!sharpInstance) {
-          sharpInstance = sharp(imageBuffer);
-        }
+    let status = outcome.status;
+    let error = null;
 
-        await sharpInstance.resize(CONFIG.TARGET_SIZE, CONFIG.TARGET_SIZE).png().toFile(outputPath);
+    if (status === 'downloaded' || status === 'not_modified') {
+      metadata.lastCheckTime = new Date().toISOString();
+      metadata.httpStatus = outcome.httpStatus;
+    }
 
-        console.log(`${colors.green}  Saved to ${outputPath}${colors.reset}`);
+    if (status === 'downloaded') {
+      // Update Metadata
+      metadata.downloadTime = new Date().toISOString();
+      metadata.etag = outcome.headers.get('etag');
+      metadata.lastModified = outcome.headers.get('last-modified');
+      metadata.contentLength = outcome.headers.get('content-length');
+      metadata.contentType = outcome.headers.get('content-type');
+      metadata.iconFormat = outcome.format;
+      metadata.icoFrames = outcome.icoFrames;
+      if (outcome.archived) {
+        // Newest first, the current version is the icon itself
+        const history = [
+          {
+            time: outcome.archived.time,
+            replacedAt: metadata.downloadTime,
+            iconHash: metadata.iconHash || null,
+            path: outcome.archived.path,
+          },
+          ...(metadata.history || []),
+        ];
+        metadata.history = history.slice(0, CONFIG.MAX_HISTORY_ENTRIES);
+        metadata.lastChangeTime = metadata.downloadTime;
+      }
+      metadata.payloadHash = outcome.payloadHash;
+      metadata.iconHash = outcome.iconHash;
+      clearFailures(metadata);
+    } else if (status === 'not_modified') {
+      if (outcome.headers) {
+        // Same payload over a 200, keep validators in case the server starts honouring them
+        metadata.etag = outcome.headers.get('etag');
+        metadata.lastModified = outcome.headers.get('last-modified');
+      }
+      clearFailures(metadata);
+    } else {
+      // Report the failure of the recorded favicon, that's what stats group by
+      const failure = primaryFailure || outcome;
+      status = failure.status;
+      error = failure.error;
+      if (failure.httpStatus) {
+        metadata.lastCheckTime = new Date().toISOString();
+        metadata.httpStatus = failure.httpStatus;
+      }
 
-        // Update Metadata
-        metadata.downloadTime = new Date().toISOString();
-        metadata.etag = response.headers.get('etag');
-        metadata.lastModified = response.headers.get('last-modified');
-        metadata.contentLength = response.headers.get('content-length');
-        metadata.contentType = response.headers.get('content-type');
-        status = 'downloaded';
-        metadata.failureCount = 0; // Reset on success
-      } else {
-        console.warn(
-          `${colors.red}  Warning: HTTP ${response.status} - ${response.statusText}${colors.reset}`,
+      // Count consecutive failures of the same class, a different failure restarts the backoff
+      const category = classifyFailure(failure);
+      metadata.failureCount =
+        category === metadata.errorCategory ? (metadata.failureCount || 0) + 1 : 1;
+      metadata.errorCategory = category;
+      const { nextEligibleTime, dead } = scheduleRetry(category, metadata.failureCount);
+      // The server's Retry-After wins when it asks for a longer wait
+      metadata.nextEligibleTime =
+        nextEligibleTime && failure.retryAfter && failure.retryAfter > nextEligibleTime
+          ? failure.retryAfter
+          : nextEligibleTime;
+      if (dead) {
+        console.log(
+          `${colors.yellow}  Giving up: ${metadata.failureCount} consecutive ${category} failures${colors.reset}`,
         );
-        status = 'failed';
-        error = `HTTP ${response.status}`;
-        metadata.failureCount = (metadata.failureCount || 0) + 1;
       }
-    } catch (e) {
-      console.error(`${colors.red}  Error: ${e.message}${colors.reset}`);
-      status = 'error';
-      error = e.message;
-      metadata.failureCount = (metadata.failureCount || 0) + 1;
     }
 
     return {
@@ -357,52 +823,79 @@ async function downloadFavicons() {
     };
   };
 
-  let processingFinished = false;
-  let saveTimer;
-  const scheduleSave = () => {
-    if (processingFinished) return;
-    saveTimer = setTimeout(async () => {
-      if (processingFinished) return;
-      try {
-        await saveProgress(inputEntries, results, stateMap, CONFIG.OUTPUT_FILE);
-      } catch (e) {
-        console.error(`Error saving progress: ${e.message}`);
-      } finally {
-        if (!processingFinished) scheduleSave();
-      }
-    }, CONFIG.SAVE_INTERVAL_MS);
+  // Entries are streamed in batches. After each one the journal is merged into the state
+  // file and emptied, and the states of the next batch are read in the same pass.
+  const input = streamEntries(CONFIG.INPUT_FILE);
+  let inputIndex = 0;
+  const readBatch = async () => {
+    const batch = [];
+    while (batch.length < CONFIG.CHECKPOINT_ENTRIES && inputIndex < endIndex) {
+      const { value: entry, done } = await input.next();
+      if (done) break;
+      if (inputIndex++ >= nextIndex) batch.push(entry);
+    }
+    return batch;
+  };
+  const checkpoint = async (batch) => {
+    const states = await saveProgress(results, inputUrls, new Set(batch.map((e) => e.url)));
+    results.clear();
+    journal.reset([
+      {
+        checkpoint: { startIndex: CONFIG.START_INDEX, endIndex: CONFIG.END_INDEX, nextIndex },
+      },
+    ]);
+    return states;
   };
-  scheduleSave();
 
-  const executing = new Set();
+  let batch = await readBatch();
+  stateMap = await checkpoint(batch);
 
-  for (const entry of targets) {
-    const p = processEntry(entry).then(async (result) => {
-      results.push(result);
-      processedCount++;
-      return result;
-    });
+  while (batch.length > 0 && !stopSignal) {
+    const executing = new Set();
 
-    executing.add(p);
+    for (const entry of batch) {
+      if (stopSignal) break;
+      if (resumedUrls.has(entry.url)) continue;
 
-    // Clean up when done
-    const clean = () => executing.delete(p);
-    p.then(clean).catch(clean);
+      const p = processEntry(entry).then(async (result) => {
+        results.set(result.url, result);
+        journal.append(result);
+        processedCount++;
+        return result;
+      });
 
-    // Limit concurrency
-    if (executing.size >= CONFIG.CONCURRENCY) {
-      await Promise.race(executing);
+      executing.add(p);
+
+      // Clean up when done
+      const clean = () => executing.delete(p);
+      p.then(clean).catch(clean);
+
+      // Limit concurrency
+      if (executing.size >= CONFIG.CONCURRENCY) {
+        await Promise.race(executing);
+      }
     }
-  }
 
-  // Wait for all remaining tasks
-  await Promise.all(executing);
+    // Wait for all remaining tasks
+    await Promise.all(executing);
+    if (stopSignal) break;
 
-  processingFinished = true;
-  clearTimeout(saveTimer);
+    // 3. Save Results
+    nextIndex += batch.length;
+    batch = await readBatch();
+    stateMap = await checkpoint(batch);
+  }
 
-  // 3. Save Results
-  await saveProgress(inputEntries, results, stateMap, CONFIG.OUTPUT_FILE);
-}
+  await input.return();
+  journal.close();
+  // Later stages of `run-all` get the default signal handling back
+  process.off('SIGINT', onSignal);
+  process.off('SIGTERM', onSignal);
 
-downloadFavicons();
+  if (stopSignal) {
+    // Keep the journal, the next run merges it and resumes from its checkpoint
+    console.log(`👋 Stopped after ${processedCount} entries. Run again to resume.`);
+    process.exit(stopSignal === 'SIGINT' ? 130 : 143);
+  }
+  await removeJournal(CONFIG.JOURNAL_FILE);
+}
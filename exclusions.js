@@ -0,0 +1,113 @@
+import fs from 'fs/promises';
+import { URL, domainToASCII } from 'url';
+import { getDomain } from './utils.js';
+
+export const EXCLUSION_RULE_TYPES = ['domain', 'suffix', 'regex', 'list'];
+
+function normalizeRuleDomain(value) {
+  return domainToASCII(value.trim().replace(/\.$/, '')).replace(/^www\./, '');
+}
+
+async function readDomainList(filePath) {
+  const content = await fs.readFile(filePath, 'utf-8');
+  const domains = new Set();
+  for (const line of content.split('\n')) {
+    const value = line.replace(/#.*$/, '').trim();
+    if (value) domains.add(normalizeRuleDomain(value));
+  }
+  return domains;
+}
+
+/**
+ * Compiles one rule of the exclusion file into a matcher.
+ * @param {Object} rule - The rule as written in the file.
+ * @returns {Promise<function(string): boolean>} Tests a normalized host or domain.
+ */
+async function compileRule(rule) {
+  switch (rule.type) {
+    case 'domain': {
+      const domain = normalizeRuleDomain(rule.value);
+      return (name) => name === domain;
+    }
+    case 'suffix': {
+      const suffix = normalizeRuleDomain(rule.value);
+      return (name) => name === suffix || name.endsWith(`.${suffix}`);
+    }
+    case 'regex': {
+      const regex = new RegExp(rule.pattern);
+      return (name) => regex.test(name);
+    }
+    case 'list': {
+      const domains = await readDomainList(rule.file);
+      return (name) => domains.has(name);
+    }
+    default:
+      throw new Error(
+        `Unknown exclusion rule type "${rule.type}", expected one of ${EXCLUSION_RULE_TYPES}`,
+      );
+  }
+}
+
+/**
+ * Domain list files an exclusion file refers to, so changes to them can be detected.
+ * @param {string} filePath - The exclusion file.
+ * @returns {Promise<string[]>} The exclusion file and its list files.
+ */
+export async function getExclusionFiles(filePath) {
+  try {
+    const { rules = [] } = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    return [filePath, ...rules.filter((rule) => rule.type === 'list').map((rule) => rule.file)];
+  } catch (e) {
+    if (e.code === 'ENOENT') return [filePath];
+    throw e;
+  }
+}
+
+/**
+ * Loads the exclusion file: `{"rules": [...]}` where each rule has a `type` and what it
+ * matches, a `category` (e.g., parked, adult, malware, opt-out), a `reason` and the
+ * `date` it was added. Types:
+ *   - domain: `value` is one domain, e.g. an owner's opt-out request
+ *   - suffix: `value` and all its subdomains
+ *   - regex: `pattern` is tested against the host and the domain
+ *   - list: `file` has one domain per line (# starts a comment), e.g. a malware feed
+ * A rule's `id` defaults to its type and value, and is what entries and stats refer to.
+ * @param {string} filePath - The exclusion file. A missing file excludes nothing.
+ * @returns {Promise<{rules: Array<Object>, match: function(string): (Object|null)}>}
+ *   `match(url)` returns the first rule excluding the URL's site, or null.
+ */
+export async function loadExclusions(filePath) {
+  let rules;
+  try {
+    ({ rules = [] } = JSON.parse(await fs.readFile(filePath, 'utf-8')));
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+    console.warn(`⚠️ No exclusion file ${filePath}, nothing is excluded.`);
+    rules = [];
+  }
+
+  const compiled = [];
+  for (const rule of rules) {
+    const id = rule.id || `${rule.type}:${rule.value ?? rule.pattern ?? rule.file}`;
+    if (!rule.reason || !rule.date) {
+      console.warn(`⚠️ Exclusion rule ${id} should have a reason and a date.`);
+    }
+    compiled.push({
+      rule: { id, category: rule.category || 'other', reason: rule.reason, date: rule.date },
+      test: await compileRule(rule),
+    });
+  }
+
+  return {
+    rules: compiled.map(({ rule }) => rule),
+
+    match(url) {
+      // Rules are tested against the full host too, so suffix and regex rules can
+      // single out subdomains that normalization collapses into their parent
+      const host = new URL(url).hostname.replace(/^www\./, '');
+      const domain = getDomain(url);
+      const found = compiled.find(({ test }) => test(host) || test(domain));
+      return found ? found.rule : null;
+    },
+  };
+}
@@ -0,0 +1,339 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import { createGunzip, gunzipSync, inflateSync, brotliDecompressSync } from 'zlib';
+import path from 'path';
+import { URL } from 'url';
+import { writeEntries } from './utils.js';
+import { extractIconLinkTags } from './favicon-discovery.js';
+
+// Larger documents aren't home pages worth parsing, their records are skipped
+const MAX_DOCUMENT_BYTES = 5 * 1024 * 1024;
+
+// --- Configuration ---
+// Set from the `extract` section of favicons.config.js when the stage runs
+let CONFIG;
+
+/**
+ * Tells the archive format of a file from its name.
+ * @param {string} filePath - The file.
+ * @returns {'html'|'warc'|'har'|null} The format, or null for files that aren't read.
+ */
+function getInputFormat(filePath) {
+  const name = filePath.toLowerCase();
+  if (name.endsWith('.html') || name.endsWith('.htm')) return 'html';
+  if (name.endsWith('.warc') || name.endsWith('.warc.gz')) return 'warc';
+  if (name.endsWith('.har')) return 'har';
+  return null;
+}
+
+/**
+ * Expands the configured inputs into the archive files to read. Directories are walked
+ * recursively for HTML, WARC and HAR files.
+ * @param {string[]} inputs - Files and directories.
+ * @returns {Promise<Array<{file: string, format: string}>>} The files, sorted.
+ */
+export async function listInputFiles(inputs) {
+  const files = [];
+
+  async function walk(dir) {
+    for (const dirent of await fs.readdir(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, dirent.name);
+      if (dirent.isDirectory()) {
+        await walk(fullPath);
+      } else if (dirent.isFile() && getInputFormat(fullPath)) {
+        files.push({ file: fullPath, format: getInputFormat(fullPath) });
+      }
+    }
+  }
+
+  for (const input of inputs) {
+    const stats = await fs.stat(input);
+    if (stats.isDirectory()) {
+      await walk(input);
+    } else if (getInputFormat(input)) {
+      files.push({ file: input, format: getInputFormat(input) });
+    } else {
+      console.warn(`⚠️ Skipping ${input}: not an HTML, WARC or HAR file.`);
+    }
+  }
+
+  return files.sort((a, b) => a.file.localeCompare(b.file));
+}
+
+function isHomePage(url) {
+  try {
+    const { protocol, pathname, search } = new URL(url);
+    return (protocol === 'https:' || protocol === 'http:') && pathname === '/' && !search;
+  } catch (e) {
+    return false;
+  }
+}
+
+function toDate(value) {
+  const date = new Date(value);
+  return isNaN(date) ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Page URL of a saved HTML file: the "saved from url" comment browsers add, else the
+ * host named by the file ("example.com.html") or its directory ("example.com/index.html").
+ * @param {string} file - The HTML file.
+ * @param {string} html - The file content.
+ * @returns {string|null} The page URL, or null if it can't be told.
+ */
+function getSavedPageUrl(file, html) {
+  const savedFrom = html.match(/<!--\s*saved from url=\(\d+\)(\S+?)\s*-->/i);
+  if (savedFrom) return savedFrom[1];
+
+  const name = path.basename(file, path.extname(file));
+  const host = name.toLowerCase() === 'index' ? path.basename(path.dirname(file)) : name;
+  try {
+    return new URL(`https://${host}/`).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Reads a saved HTML page. Its date is the day the file was last written.
+ * @param {{file: string}} input - An HTML file from listInputFiles.
+ * @yields {{url: string, html: string, date: string}}
+ */
+async function* readHtmlPages({ file }) {
+  const html = await fs.readFile(file, 'utf-8');
+  const url = getSavedPageUrl(file, html);
+  if (!url) {
+    console.warn(`⚠️ Skipping ${file}: can't tell which page it was saved from.`);
+    return;
+  }
+  const stats = await fs.stat(file);
+  yield { url, html, date: toDate(stats.mtime) };
+}
+
+/**
+ * Buffered reader over a byte stream, for formats mixing text lines and sized binary blocks.
+ * @param {import('stream').Readable} stream - The stream to read.
+ */
+function createByteReader(stream) {
+  const chunks = stream[Symbol.asyncIterator]();
+  let buffer = Buffer.alloc(0);
+  let ended = false;
+
+  const fill = async () => {
+    if (ended) return false;
+    const { value, done } = await chunks.next();
+    if (done) {
+      ended = true;
+      return false;
+    }
+    buffer = buffer.length > 0 ? Buffer.concat([buffer, value]) : value;
+    return true;
+  };
+
+  return {
+    /** @returns {Promise<string|null>} The next line without its line break, null at the end. */
+    async readLine() {
+      let index;
+      while ((index = buffer.indexOf(0x0a)) === -1) {
+        if (!(await fill())) {
+          if (buffer.length === 0) return null;
+          const rest = buffer.toString('utf-8');
+          buffer = Buffer.alloc(0);
+          return rest;
+        }
+      }
+      const line = buffer.subarray(0, index).toString('utf-8').replace(/\r$/, '');
+      buffer = buffer.subarray(index + 1);
+      return line;
+    },
+
+    /** @returns {Promise<Buffer>} The next `length` bytes, fewer at the end. */
+    async read(length) {
+      while (buffer.length < length && (await fill()));
+      const block = buffer.subarray(0, length);
+      buffer = buffer.subarray(length);
+      return block;
+    },
+
+    async skip(length) {
+      let remaining = length;
+      while (remaining > 0 && (buffer.length > 0 || (await fill()))) {
+        const skipped = Math.min(remaining, buffer.length);
+        buffer = buffer.subarray(skipped);
+        remaining -= skipped;
+      }
+    },
+  };
+}
+
+function parseHeaderLines(lines) {
+  const headers = {};
+  for (const line of lines) {
+    const index = line.indexOf(':');
+    if (index > 0) {
+      headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+    }
+  }
+  return headers;
+}
+
+function decodeChunked(body) {
+  const parts = [];
+  let offset = 0;
+  while (offset < body.length) {
+    const lineEnd = body.indexOf('\r\n', offset);
+    if (lineEnd === -1) break;
+    const size = parseInt(body.subarray(offset, lineEnd).toString('latin1'), 16);
+    if (!size) break;
+    parts.push(body.subarray(lineEnd + 2, lineEnd + 2 + size));
+    offset = lineEnd + 2 + size + 2;
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Parses an HTTP response as archived in a WARC record, undoing chunking and compression.
+ * @param {Buffer} block - The record's content.
+ * @returns {{status: number, headers: Object<string, string>, body: Buffer}|null} The
+ *   response, or null if it can't be decoded.
+ */
+function parseHttpResponse(block) {
+  const headerEnd = block.indexOf('\r\n\r\n');
+  if (headerEnd === -1) return null;
+  const [statusLine, ...lines] = block.subarray(0, headerEnd).toString('latin1').split('\r\n');
+  const status = parseInt(statusLine.split(' ')[1], 10);
+  const headers = parseHeaderLines(lines);
+
+  let body = block.subarray(headerEnd + 4);
+  try {
+    if (/chunked/i.test(headers['transfer-encoding'] || '')) body = decodeChunked(body);
+    const encoding = (headers['content-encoding'] || '').toLowerCase();
+    if (encoding === 'gzip' || encoding === 'x-gzip') body = gunzipSync(body);
+    else if (encoding === 'deflate') body = inflateSync(body);
+    else if (encoding === 'br') body = brotliDecompressSync(body);
+  } catch (e) {
+    return null;
+  }
+  return { status, headers, body };
+}
+
+/**
+ * Reads the home pages archived in a WARC file, plain or gzipped. Only successful HTML
+ * responses for a site's root URL are parsed, other records are skipped unread.
+ * @param {{file: string}} input - A WARC file from listInputFiles.
+ * @yields {{url: string, html: string, date: string}}
+ */
+async function* readWarcPages({ file }) {
+  let stream = createReadStream(file);
+  if (file.toLowerCase().endsWith('.gz')) stream = stream.pipe(createGunzip());
+  const reader = createByteReader(stream);
+
+  while (true) {
+    let line = await reader.readLine();
+    while (line === '') line = await reader.readLine(); // Records end with blank lines
+    if (line === null) return;
+    if (!line.startsWith('WARC/')) {
+      throw new Error(`Invalid WARC record in ${file}: "${line.slice(0, 40)}"`);
+    }
+
+    const headerLines = [];
+    for (line = await reader.readLine(); line; line = await reader.readLine()) {
+      headerLines.push(line);
+    }
+    const headers = parseHeaderLines(headerLines);
+    const length = parseInt(headers['content-length'], 10) || 0;
+    const url = headers['warc-target-uri']?.replace(/^<|>$/g, '');
+
+    const wanted =
+      headers['warc-type'] === 'response' && isHomePage(url) && length <= MAX_DOCUMENT_BYTES;
+    if (!wanted) {
+      await reader.skip(length);
+      continue;
+    }
+
+    const response = parseHttpResponse(await reader.read(length));
+    if (!response || response.status !== 200) continue;
+    if (!/html/i.test(response.headers['content-type'] || '')) continue;
+    yield { url, html: response.body.toString('utf-8'), date: toDate(headers['warc-date']) };
+  }
+}
+
+/**
+ * Reads the home pages recorded in a HAR export. HTTP Archive exports also carry the
+ * page's rank in the page metadata.
+ * @param {{file: string}} input - A HAR file from listInputFiles.
+ * @yields {{url: string, html: string, date: string, rank: number|null}}
+ */
+async function* readHarPages({ file }) {
+  const { log } = JSON.parse(await fs.readFile(file, 'utf-8'));
+  const pages = new Map((log?.pages || []).map((page) => [page.id, page]));
+
+  for (const { request, response, pageref, startedDateTime } of log?.entries || []) {
+    const content = response?.content;
+    if (response?.status !== 200 || !content?.text) continue;
+    if (!/html/i.test(content.mimeType || '') || !isHomePage(request?.url)) continue;
+
+    const html =
+      content.encoding === 'base64'
+        ? Buffer.from(content.text, 'base64').toString('utf-8')
+        : content.text;
+    const page = pages.get(pageref);
+    yield {
+      url: request.url,
+      html,
+      date: toDate(startedDateTime || page?.startedDateTime),
+      rank: page?._metadata?.rank ?? null,
+    };
+  }
+}
+
+const READERS = { html: readHtmlPages, warc: readWarcPages, har: readHarPages };
+
+/**
+ * Extracts favicon links from local HTML, WARC and HAR archives into the same rows
+ * `fetch-data` gets from BigQuery (`url`, `favicon`, `date`, `rank`, `icons`), so the
+ * pipeline can run without Google Cloud access.
+ * @param {Object} config - The `extract` stage config.
+ */
+export async function extractFavicons(config) {
+  CONFIG = config;
+  console.log('🚀 Extracting favicons from local archives...');
+
+  const inputs = await listInputFiles(CONFIG.INPUTS);
+  if (inputs.length === 0) {
+    throw new Error(`No HTML, WARC or HAR files found in ${CONFIG.INPUTS.join(', ')}`);
+  }
+  console.log(`📂 Found ${inputs.length} files to read.`);
+
+  const counts = { html: 0, warc: 0, har: 0 };
+  let skippedCount = 0;
+
+  async function* rows() {
+    // A page archived more than once is kept as first found
+    const seenUrls = new Set();
+    for (const input of inputs) {
+      try {
+        for await (const page of READERS[input.format](input)) {
+          if (seenUrls.has(page.url)) continue;
+          seenUrls.add(page.url);
+          counts[input.format]++;
+
+          const { favicon, icons } = extractIconLinkTags(page.html);
+          yield { date: page.date, url: page.url, rank: page.rank ?? null, favicon, icons };
+        }
+      } catch (e) {
+        skippedCount++;
+        console.warn(`⚠️ Failed to read ${input.file}: ${e.message}`);
+      }
+    }
+  }
+
+  await writeEntries(CONFIG.OUTPUT_FILE, rows());
+
+  const total = counts.html + counts.warc + counts.har;
+  console.log(
+    `📊 Extracted ${total} pages (HTML: ${counts.html}, WARC: ${counts.warc}, HAR: ${counts.har}).`,
+  );
+  if (skippedCount > 0) console.log(`⚠️  ${skippedCount} files couldn't be read.`);
+  console.log(`💾 Data successfully saved to ${CONFIG.OUTPUT_FILE}`);
+}
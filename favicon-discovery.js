@@ -0,0 +1,346 @@
+import { URL } from 'url';
+import path from 'path';
+import { fetchWithFallbacks } from './http-fetch.js';
+
+// Relations we accept as icons, with their preference (lower is better).
+// Manifest icons are usually large app icons, mask-icon is a monochrome silhouette.
+const REL_PRIORITY = {
+  icon: 0,
+  'shortcut icon': 0,
+  'apple-touch-icon': 1,
+  'apple-touch-icon-precomposed': 1,
+  manifest: 2,
+  'mask-icon': 3,
+};
+
+const MAX_HTML_BYTES = 512 * 1024;
+const MAX_REDIRECTS = 5;
+
+/**
+ * Parses the attributes of a single HTML tag into a lowercase-keyed object.
+ * @param {string} tag - The raw tag (e.g., '<link rel="icon" href="/a.png">').
+ * @returns {Object<string, string>} The attributes.
+ */
+function parseAttributes(tag) {
+  const attributes = {};
+  const attrRegex = /([^\s=/<>"']+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  // Skip the tag name itself
+  const body = tag.replace(/^<\s*[a-z]+/i, '');
+  let match;
+  while ((match = attrRegex.exec(body)) !== null) {
+    const value = match[2] ?? match[3] ?? match[4] ?? '';
+    attributes[match[1].toLowerCase()] = value.trim();
+  }
+  return attributes;
+}
+
+/**
+ * Extracts the raw icon <link> tags from the <head> of a document, in the shape the
+ * HTTP Archive query records them (see http_archive_favicon_extractor.sql).
+ * @param {string} html - The HTML source of the page.
+ * @returns {{favicon: string|null, icons: string[]}} The href of the first "icon" or
+ *   "shortcut icon" link as written in the page, and every icon link tag.
+ */
+export function extractIconLinkTags(html) {
+  const head = html.match(/<head[^>]*>([\s\S]*?)<\/head>/i)?.[1] ?? html.slice(0, MAX_HTML_BYTES);
+  let favicon = null;
+  const icons = [];
+
+  for (const [tag] of head.matchAll(/<link\s[^>]*>/gi)) {
+    const attributes = parseAttributes(tag);
+    if (!attributes.href || !attributes.rel) continue;
+
+    const rel = attributes.rel.toLowerCase().replace(/\s+/g, ' ');
+    if (rel === 'manifest' || !(rel in REL_PRIORITY || rel.split(' ').includes('icon'))) continue;
+    icons.push(tag);
+    if (!favicon && (rel === 'icon' || rel === 'shortcut icon')) favicon = attributes.href;
+  }
+
+  return { favicon, icons };
+}
+
+/**
+ * Parses a "sizes" attribute (e.g., "16x16 32x32" or "any") into the largest declared size.
+ * @param {string} sizes - The sizes attribute value.
+ * @returns {number|null} The largest declared edge in pixels, Infinity for "any", or null.
+ */
+export function parseDeclaredSize(sizes) {
+  if (!sizes) return null;
+  let largest = null;
+  for (const token of sizes.toLowerCase().split(/\s+/)) {
+    if (token === 'any') return Infinity;
+    const match = token.match(/^(\d+)x(\d+)$/);
+    if (match) {
+      const size = Math.max(parseInt(match[1], 10), parseInt(match[2], 10));
+      if (largest === null || size > largest) largest = size;
+    }
+  }
+  return largest;
+}
+
+/**
+ * Extracts icon and manifest links from an HTML document.
+ * @param {string} html - The HTML source of the page.
+ * @param {string} pageUrl - The URL the HTML was loaded from, used to resolve relative links.
+ * @returns {{icons: Array<{url: string, rel: string, sizes: string|null, type: string|null, source: string}>, manifestUrl: string|null}}
+ */
+export function parseIconLinks(html, pageUrl) {
+  let baseUrl = pageUrl;
+  const baseTag = html.match(/<base\s[^>]*>/i);
+  if (baseTag) {
+    const { href } = parseAttributes(baseTag[0]);
+    try {
+      if (href) baseUrl = new URL(href, pageUrl).href;
+    } catch (e) {
+      // Ignore invalid base href
+    }
+  }
+
+  const icons = [];
+  let manifestUrl = null;
+
+  for (const [tag] of html.matchAll(/<link\s[^>]*>/gi)) {
+    const attributes = parseAttributes(tag);
+    if (!attributes.href || !attributes.rel) continue;
+
+    const rel = attributes.rel.toLowerCase().replace(/\s+/g, ' ');
+    let url;
+    try {
+      url = new URL(attributes.href, baseUrl).href;
+    } catch (e) {
+      continue;
+    }
+
+    if (rel === 'manifest') {
+      if (!manifestUrl) manifestUrl = url;
+    } else if (rel in REL_PRIORITY || rel.split(' ').includes('icon')) {
+      icons.push({
+        url,
+        rel,
+        sizes: attributes.sizes || null,
+        type: attributes.type || null,
+        source: 'html',
+      });
+    }
+  }
+
+  return { icons, manifestUrl };
+}
+
+/**
+ * Extracts icons from a parsed web app manifest.
+ * @param {Object} manifest - The parsed manifest JSON.
+ * @param {string} manifestUrl - The URL of the manifest, used to resolve relative icon paths.
+ * @returns {Array<{url: string, rel: string, sizes: string|null, type: string|null, source: string}>}
+ */
+export function parseManifestIcons(manifest, manifestUrl) {
+  if (!manifest || !Array.isArray(manifest.icons)) return [];
+
+  const icons = [];
+  for (const icon of manifest.icons) {
+    if (!icon || typeof icon.src !== 'string') continue;
+    // Monochrome icons are single-color silhouettes, not the site's actual icon
+    const purposes = (icon.purpose || 'any').toLowerCase().split(/\s+/);
+    if (!purposes.includes('any') && !purposes.includes('maskable')) continue;
+
+    try {
+      icons.push({
+        url: new URL(icon.src, manifestUrl).href,
+        rel: 'manifest',
+        sizes: icon.sizes || null,
+        type: icon.type || null,
+        source: 'manifest',
+      });
+    } catch (e) {
+      continue;
+    }
+  }
+  return icons;
+}
+
+/**
+ * Determines an icon candidate's image format from its declared type or URL extension.
+ * @param {{url: string, type: string|null}} candidate - The candidate.
+ * @returns {'svg'|'png'|'ico'|null} The format, or null when it can't be told.
+ */
+export function getCandidateFormat(candidate) {
+  const type = (candidate.type || '').toLowerCase();
+  if (type.includes('svg')) return 'svg';
+  if (type.includes('png')) return 'png';
+  if (type.includes('icon') || type.includes('ico')) return 'ico';
+
+  try {
+    const extension = path.extname(new URL(candidate.url).pathname).toLowerCase();
+    if (extension === '.svg') return 'svg';
+    if (extension === '.png') return 'png';
+    if (extension === '.ico') return 'ico';
+  } catch (e) {
+    // Fall through to unknown
+  }
+  return null;
+}
+
+/**
+ * Ranks icon candidates by preference. SVG wins, then the declared size closest to
+ * (but at least) the target size, then PNG over ICO. Icons declaring smaller sizes
+ * come after those with undeclared sizes, and monochrome mask icons come last.
+ * @param {Array<Object>} candidates - Candidates as returned by parseIconLinks/parseManifestIcons.
+ * @param {number} targetSize - The size the icon will be rendered at.
+ * @returns {Array<Object>} A new, sorted array.
+ */
+export function rankIconCandidates(candidates, targetSize) {
+  const FORMAT_RANK = { svg: 0, png: 1, ico: 2 };
+
+  const scored = candidates.map((candidate, order) => {
+    const format = getCandidateFormat(candidate);
+    const size = format === 'svg' ? Infinity : parseDeclaredSize(candidate.sizes);
+
+    let sizeClass;
+    let distance;
+    if (size === Infinity) {
+      sizeClass = 0;
+      distance = -1;
+    } else if (size !== null && size >= targetSize) {
+      sizeClass = 0;
+      distance = size - targetSize;
+    } else if (size === null) {
+      sizeClass = 1;
+      distance = 0;
+    } else {
+      sizeClass = 2;
+      distance = targetSize - size;
+    }
+
+    return {
+      candidate,
+      key: [
+        candidate.rel === 'mask-icon' ? 1 : 0,
+        sizeClass,
+        distance,
+        FORMAT_RANK[format] ?? 3,
+        REL_PRIORITY[candidate.rel] ?? REL_PRIORITY.icon,
+        order,
+      ],
+    };
+  });
+
+  scored.sort((a, b) => {
+    for (let i = 0; i < a.key.length; i++) {
+      if (a.key[i] !== b.key[i]) return a.key[i] - b.key[i];
+    }
+    return 0;
+  });
+
+  return scored.map(({ candidate }) => candidate);
+}
+
+async function fetchResource(url, { userAgent, timeoutMs, accept, scheduler }) {
+  return fetchWithFallbacks(url, {
+    headers: { 'User-Agent': userAgent, Accept: accept },
+    timeoutMs,
+    maxRedirects: MAX_REDIRECTS,
+    scheduler,
+  });
+}
+
+async function readLimitedText(response, maxBytes) {
+  if (!response.body) return '';
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+  while (received < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    received += value.length;
+  }
+  await reader.cancel().catch(() => {});
+  return Buffer.concat(chunks).toString('utf-8');
+}
+
+/**
+ * Fetches a site's home page and its web manifest to find every declared icon.
+ * The returned list ends with the conventional /favicon.ico as a 'default' candidate.
+ * Redirects are followed, and unreachable pages are retried on their scheme and 'www.'
+ * variants. Each candidate's `foundOn` is the page URL it was found on after all that.
+ * @param {string} pageUrl - The home page URL.
+ * @param {Object} options
+ * @param {string} options.userAgent - User agent to send.
+ * @param {number} options.timeoutMs - Timeout for each request.
+ * @param {number} options.targetSize - The size the icon will be rendered at.
+ * @param {Object} [options.scheduler] - Host scheduler the requests go through.
+ * @param {Object} [options.robots] - robots.txt checker, disallowed pages aren't fetched.
+ * @returns {Promise<Array<{url: string, rel: string, sizes: string|null, type: string|null, source: string, foundOn: string}>>}
+ */
+export async function discoverIconCandidates(
+  pageUrl,
+  { userAgent, timeoutMs, targetSize, scheduler, robots },
+) {
+  let htmlIcons = [];
+  let manifestIcons = [];
+  let finalPageUrl = pageUrl;
+
+  try {
+    if (robots && !(await robots.isAllowed(pageUrl))) {
+      throw new Error('Disallowed by robots.txt');
+    }
+    const { response, url } = await fetchResource(pageUrl, {
+      userAgent,
+      timeoutMs,
+      accept: 'text/html,application/xhtml+xml',
+      scheduler,
+    });
+    if (response.ok) {
+      finalPageUrl = url;
+      const html = await readLimitedText(response, MAX_HTML_BYTES);
+      const { icons, manifestUrl } = parseIconLinks(html, finalPageUrl);
+      htmlIcons = icons;
+
+      if (manifestUrl) {
+        try {
+          const { response: manifestResponse, url: finalManifestUrl } = await fetchResource(
+            manifestUrl,
+            {
+              userAgent,
+              timeoutMs,
+              accept: 'application/manifest+json,application/json',
+              scheduler,
+            },
+          );
+          if (manifestResponse.ok) {
+            const manifest = JSON.parse(await manifestResponse.text());
+            manifestIcons = parseManifestIcons(manifest, finalManifestUrl);
+          }
+        } catch (e) {
+          // Broken manifests are common, the HTML icons are still usable
+        }
+      }
+    }
+  } catch (e) {
+    // Home page unreachable, fall through to the default candidate
+  }
+
+  const candidates = rankIconCandidates([...htmlIcons, ...manifestIcons], targetSize);
+
+  try {
+    candidates.push({
+      url: new URL('/favicon.ico', finalPageUrl).href,
+      rel: 'icon',
+      sizes: null,
+      type: null,
+      source: 'default',
+    });
+  } catch (e) {
+    // Invalid page URL, nothing to add
+  }
+
+  // Deduplicate, keeping the best-ranked occurrence
+  const seen = new Set();
+  return candidates
+    .filter((candidate) => {
+      if (seen.has(candidate.url)) return false;
+      seen.add(candidate.url);
+      return true;
+    })
+    .map((candidate) => ({ ...candidate, foundOn: finalPageUrl }));
+}
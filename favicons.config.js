@@ -0,0 +1,147 @@
+// Configuration for every stage of the `favicons` CLI.
+// Each stage gets the `shared` section merged with its own section.
+// `environments` holds overrides applied with `--env <name>` (or FAVICONS_ENV).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// State files passed from one stage to the next
+const FILES = {
+  DATA: 'favicons.ndjson',
+  PROCESSED: 'favicons-processed.ndjson',
+  DOWNLOADED: 'favicons-downloaded.ndjson',
+  TILED: 'favicons-tiled.ndjson',
+};
+
+export default {
+  shared: {
+    ICONS_DIR: 'icons',
+    HISTORY_DIR: 'icons-history', // Previous versions of icons that changed
+    HOSTNAME: 'favoriteiconsofinternet.com',
+    // 'host' keeps every host apart, 'registrable' counts blog.example.co.uk as example.co.uk
+    // (Public Suffix List). Changing it moves icons, their history and tile slots to new keys.
+    DOMAIN_NORMALIZATION: 'host',
+    // Excluded and taken down sites, applied when processing, downloading and tiling
+    EXCLUSIONS_FILE: 'exclusions.json',
+    EXCLUSIONS_REPORT_FILE: 'favicons-exclusions.json', // Domains each rule dropped in processing
+    PIPELINE_STATE_FILE: 'favicons-pipeline-state.json', // What run-all last ran each stage on
+    // Stage run-all gets the favicon data from: 'fetch-data' (BigQuery) or 'extract' (archives)
+    DATA_SOURCE: 'fetch-data',
+  },
+
+  fetchData: {
+    PROJECT_ID: 'usinggeminiforcoding', // The Google Cloud project queries run (and are billed) in
+    LOCATION: 'US', // Must match the dataset's location
+    // 'table' exports TABLE_ID as is, 'extractor' runs EXTRACTOR_SQL_FILE on an HTTP Archive crawl
+    QUERY: 'table',
+    TABLE_ID: 'usinggeminiforcoding.favicons.favicons_1M',
+    EXTRACTOR_SQL_FILE: 'http_archive_favicon_extractor.sql',
+    CRAWL_DATE: '2026-09', // Crawl month the extractor reads, YYYY-MM
+    // Crawls the extractor reads, 'desktop' and/or 'mobile'. Processing merges them per domain.
+    CLIENTS: ['desktop', 'mobile'],
+    MAX_RANK: 1000000,
+    MAX_BYTES_BILLED: null, // Queries that would scan more fail instead of running
+    PAGE_SIZE: 10000, // Rows per result page
+    RESUME_FILE: 'favicons-fetch.resume.json', // Job and page an interrupted export stopped at
+    OUTPUT_FILE: FILES.DATA,
+  },
+
+  // Offline alternative to fetchData, reading saved home pages instead of BigQuery
+  extract: {
+    INPUTS: ['archives'], // HTML files (or directories of them), .warc, .warc.gz and .har files
+    OUTPUT_FILE: FILES.DATA,
+  },
+
+  process: {
+    INPUT_FILE: FILES.DATA,
+    OUTPUT_FILE: FILES.PROCESSED,
+    // Domain ranking lists that can be used, by name. `format` is one of the adapters in
+    // rank-lists.js, `date` is what the list reflects (defaults to the file's mtime).
+    RANK_LISTS: {
+      domcop: { format: 'domcop', file: 'domain-lists/top10milliondomains.csv' },
+      tranco: { format: 'tranco', file: 'domain-lists/tranco.csv' },
+      majestic: { format: 'majestic', file: 'domain-lists/majestic_million.csv' },
+      umbrella: { format: 'umbrella', file: 'domain-lists/top-1m.csv' },
+      crux: { format: 'crux', file: 'domain-lists/crux.csv' },
+    },
+    RANK_SOURCES: ['domcop'], // Several lists are merged into one ranking with RANK_MERGE
+    RANK_MERGE: 'median', // 'median', 'mean' or 'best'
+    RANK_MERGE_DEPTH: 1000000, // Domains read from each list when merging
+    MAX_ENTRIES: 1000000,
+    TARGET_ICON_SIZE: 32,
+  },
+
+  download: {
+    INPUT_FILE: FILES.PROCESSED,
+    OUTPUT_FILE: FILES.DOWNLOADED,
+    // Every result is appended here as soon as it's ready. It's merged into the output
+    // file and emptied after each batch of CHECKPOINT_ENTRIES entries.
+    JOURNAL_FILE: 'favicons-downloaded.journal.ndjson',
+    CHECKPOINT_ENTRIES: 10000,
+    MAX_HISTORY_ENTRIES: 20,
+    START_INDEX: 0,
+    END_INDEX: 1000000,
+    USER_AGENT: 'Mozilla/5.0 (compatible; FaviconDownloader/1.0)',
+    TIMEOUT_MS: 10000,
+    MAX_REDIRECTS: 5,
+    TARGET_SIZES: [32, 64, 128], // The first one is the base icon used everywhere
+    SKIP_DOWNLOAD_PERIOD_MS: 90 * DAY_MS,
+    // Entries in flight. Requests are also limited per host, so this can be high
+    // enough to keep other hosts busy while one shared CDN host is throttled.
+    CONCURRENCY: 32,
+    MAX_CONCURRENT_PER_HOST: 2,
+    MIN_HOST_INTERVAL_MS: 500, // Between request starts on the same host
+    MAX_RETRY_AFTER_MS: 30 * 1000, // Longer Retry-After waits fail the host's entries until then
+  },
+
+  tiles: {
+    INPUT_FILE: FILES.DOWNLOADED,
+    OUTPUT_FILE: FILES.TILED,
+    TILE_HASHES_FILE: 'favicons-tile-hashes.json', // Content keys of the last generated tiles
+    // 'stable' keeps each domain's slot between runs, so only the tiles whose icons changed
+    // are regenerated. 'rank' packs every run by rank. Stable layouts repack with REPACK.
+    LAYOUT: 'stable',
+    REPACK: false,
+    TILE_SLOTS_FILE: 'favicons-tile-slots.json', // Slot of every domain in the last layout
+    TILES_REPORT_FILE: 'favicons-tiles-report.json', // Tiles the last run changed
+    TILES_DIR: 'dist',
+    GRID_SIZE: 10,
+    ICON_SIZE: 32,
+    RETINA_SCALE: 2, // tile_N@2x.<hash>.avif is built from the 64px icon variants
+    BORDER_SIZE: 2,
+    BACKGROUND_COLOR: { r: 255, g: 255, b: 255, alpha: 0 },
+    ZOOM_COLUMNS: 100, // Tiles per row of the zoomable map, its levels are built from it
+    EAGER_LOAD_TILES: 8,
+    HIGH_PRIORITY_TILES: 4,
+    FORCE_REGEN: false,
+    TILE_WORKERS: null, // Threads encoding tiles, one per CPU when null, 0 for none
+    ICON_CACHE_SIZE: 10000, // Resized icons kept in memory, shared by the tiles and OG image
+    EMULATE_MORE_TILES: false,
+    EMULATE_MORE_TILES_TOTAL_ICONS: 20000,
+  },
+
+  stats: {
+    INPUT_FILE: FILES.DOWNLOADED,
+    OUTPUT_FILE: 'stats.html',
+  },
+
+  changes: {
+    INPUT_FILE: FILES.DOWNLOADED,
+    OUTPUT_DIR: 'dist',
+    IMAGES_DIR: 'changes', // Before/after images, relative to OUTPUT_DIR
+    PAGE_FILE: 'changes.html',
+    FEED_FILE: 'changes.xml',
+    MAX_CHANGES: 200,
+    IMAGE_SIZE: 64, // Sized variant to publish, falls back to the base icon
+  },
+
+  migrate: {},
+
+  environments: {
+    // Small, quick runs against a slice of the data
+    development: {
+      process: { MAX_ENTRIES: 10000 },
+      download: { END_INDEX: 10000, CONCURRENCY: 8 },
+    },
+    production: {},
+  },
+};
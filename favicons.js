@@ -0,0 +1,396 @@
+#!/usr/bin/env node
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import crypto from 'crypto';
+import path from 'path';
+import { Command } from 'commander';
+import { loadConfig, getStageConfig, DEFAULT_CONFIG_FILE } from './config.js';
+import { setDomainNormalization } from './utils.js';
+import { fetchData, getTableVersion, QUERY_MODES, CLIENTS } from './download-favicons-data.js';
+import { extractFavicons, listInputFiles } from './extract-favicons.js';
+import { processFavicons } from './process-favicons.js';
+import { downloadFavicons } from './download-favicons.js';
+import { generateTiles, TILE_LAYOUTS } from './generate-tiles.js';
+import { generateStats } from './generate-stats.js';
+import { generateChanges } from './generate-changes.js';
+import { migrateIcons } from './migrate-icons.js';
+import { resolveRankLists, RANK_MERGE_METHODS } from './rank-lists.js';
+import { getExclusionFiles } from './exclusions.js';
+
+// Stages in the order `run-all` runs them. A stage is skipped when the fingerprint of its
+// inputs and config matches the one recorded after its last successful run. Of the
+// `dataSource` stages, only the one selected by DATA_SOURCE runs.
+const STAGES = [
+  {
+    name: 'fetch-data',
+    section: 'fetchData',
+    run: fetchData,
+    dataSource: true,
+    inputs: (config) => (config.QUERY === 'extractor' ? [config.EXTRACTOR_SQL_FILE] : []),
+    outputs: (config) => [config.OUTPUT_FILE],
+    // The table lives in BigQuery, its last modified time stands in for its content
+    version: getTableVersion,
+  },
+  {
+    name: 'extract',
+    section: 'extract',
+    run: extractFavicons,
+    dataSource: true,
+    inputs: async (config) => (await listInputFiles(config.INPUTS)).map(({ file }) => file),
+    outputs: (config) => [config.OUTPUT_FILE],
+  },
+  {
+    name: 'process',
+    section: 'process',
+    run: processFavicons,
+    inputs: async (config) => [
+      config.INPUT_FILE,
+      ...resolveRankLists(config).map((list) => list.file),
+      ...(await getExclusionFiles(config.EXCLUSIONS_FILE)),
+    ],
+    outputs: (config) => [config.OUTPUT_FILE],
+  },
+  {
+    name: 'download',
+    section: 'download',
+    run: downloadFavicons,
+    // Backoff and refresh periods depend on the time, not on the inputs
+    always: true,
+  },
+  {
+    name: 'tiles',
+    section: 'tiles',
+    run: generateTiles,
+    inputs: async (config) => [
+      config.INPUT_FILE,
+      'index.ejs',
+      ...(await getExclusionFiles(config.EXCLUSIONS_FILE)),
+    ],
+    outputs: (config) => [
+      config.OUTPUT_FILE,
+      config.TILE_SLOTS_FILE,
+      path.join(config.TILES_DIR, 'index.html'),
+    ],
+  },
+  {
+    name: 'stats',
+    section: 'stats',
+    run: generateStats,
+    inputs: async (config) => [
+      config.INPUT_FILE,
+      'stats.ejs',
+      config.EXCLUSIONS_REPORT_FILE,
+      ...(await getExclusionFiles(config.EXCLUSIONS_FILE)),
+    ],
+    outputs: (config) => [config.OUTPUT_FILE],
+  },
+  {
+    name: 'changes',
+    section: 'changes',
+    run: generateChanges,
+    inputs: async (config) => [
+      config.INPUT_FILE,
+      'changes.ejs',
+      'changes-feed.ejs',
+      ...(await getExclusionFiles(config.EXCLUSIONS_FILE)),
+    ],
+    outputs: (config) => [
+      path.join(config.OUTPUT_DIR, config.PAGE_FILE),
+      path.join(config.OUTPUT_DIR, config.FEED_FILE),
+    ],
+  },
+];
+
+async function readState(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return { stages: {}, files: {} };
+    throw e;
+  }
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Hashes a file's content. Hashes are cached by size and mtime in `fileCache`, so
+ * unchanged multi-GB state files aren't read again on every run.
+ * @param {string} filePath - The file to hash.
+ * @param {Object} fileCache - The `files` map of the pipeline state, updated in place.
+ * @returns {Promise<string|null>} The sha256 hex digest, or null if the file is missing.
+ */
+async function hashFile(filePath, fileCache) {
+  let stats;
+  try {
+    stats = await fs.stat(filePath);
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+
+  const cached = fileCache[filePath];
+  if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+    return cached.hash;
+  }
+
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of createReadStream(filePath)) hash.update(chunk);
+  const digest = hash.digest('hex');
+  fileCache[filePath] = { size: stats.size, mtimeMs: stats.mtimeMs, hash: digest };
+  return digest;
+}
+
+/**
+ * Fingerprints everything a stage's output depends on: its config, its input files
+ * and, for external inputs, the version reported by the stage.
+ * @param {Object} stage - An entry of STAGES.
+ * @param {Object} config - The stage config.
+ * @param {Object} fileCache - The `files` map of the pipeline state.
+ * @returns {Promise<string>} The fingerprint.
+ */
+async function fingerprintStage(stage, config, fileCache) {
+  const files = {};
+  for (const file of await stage.inputs(config)) {
+    files[file] = await hashFile(file, fileCache);
+  }
+  const version = stage.version ? await stage.version(config) : null;
+
+  // RegExps would otherwise all serialize as {}
+  const serialized = JSON.stringify({ config, files, version }, (key, value) =>
+    value instanceof RegExp ? value.toString() : value,
+  );
+  return crypto.createHash('sha256').update(serialized).digest('hex');
+}
+
+/**
+ * Runs every stage in order, skipping those whose inputs haven't changed since
+ * their last successful run. Stops at the first stage that fails.
+ * @param {Object} config - Config as returned by loadConfig.
+ * @param {Object} options
+ * @param {boolean} [options.force] - Run every stage, whatever changed.
+ * @param {string[]} [options.skip] - Names of stages not to run at all.
+ * @param {string} [options.dataSource] - Stage to get the data from, overriding DATA_SOURCE.
+ */
+async function runAll(config, { force = false, skip = [], dataSource } = {}) {
+  const stateFile = config.shared.PIPELINE_STATE_FILE;
+  const state = await readState(stateFile);
+  const startTime = Date.now();
+
+  const source = dataSource || config.shared.DATA_SOURCE || 'fetch-data';
+  const sources = STAGES.filter((stage) => stage.dataSource).map((stage) => stage.name);
+  if (!sources.includes(source)) {
+    throw new Error(`Unknown data source "${source}", expected one of ${sources.join(', ')}`);
+  }
+
+  for (const stage of STAGES) {
+    if (stage.dataSource && stage.name !== source) continue;
+    if (skip.includes(stage.name)) {
+      console.log(`⏭️  ${stage.name}: skipped (--skip)`);
+      continue;
+    }
+
+    const stageConfig = getStageConfig(config, stage.section);
+    let fingerprint = null;
+    if (!stage.always) {
+      fingerprint = await fingerprintStage(stage, stageConfig, state.files);
+      const outputsExist = (
+        await Promise.all(stage.outputs(stageConfig).map((file) => exists(file)))
+      ).every(Boolean);
+      const unchanged = state.stages[stage.name]?.fingerprint === fingerprint;
+      if (!force && unchanged && outputsExist) {
+        console.log(`⏭️  ${stage.name}: inputs unchanged, skipping`);
+        continue;
+      }
+    }
+
+    console.log(`\n▶️  ${stage.name}`);
+    await stage.run(stageConfig);
+
+    state.stages[stage.name] = { fingerprint, completedAt: new Date().toISOString() };
+    await fs.writeFile(stateFile, JSON.stringify(state, null, 2));
+  }
+
+  console.log(`\n✨ Pipeline complete in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+}
+
+const program = new Command();
+
+program
+  .name('favicons')
+  .description('Fetches, downloads and publishes the favicons of the top sites.')
+  .option('-c, --config <file>', 'Config file', DEFAULT_CONFIG_FILE)
+  .option(
+    '-e, --env <name>',
+    'Environment overrides to apply from the config file',
+    process.env.FAVICONS_ENV,
+  );
+
+/**
+ * Wraps a subcommand so it gets the loaded config, and failures exit non-zero.
+ * @param {function(Object, ...*): Promise} action - Called with the config, then the
+ *   subcommand's arguments if it has any, and its options.
+ * @returns {function} The commander action handler.
+ */
+function withConfig(action) {
+  return async (...args) => {
+    try {
+      const { config: configPath, env } = program.opts();
+      const config = await loadConfig({ configPath, env });
+      setDomainNormalization(config.shared.DOMAIN_NORMALIZATION);
+      await action(config, ...args);
+    } catch (e) {
+      console.error(`❌ ${e.message}`);
+      process.exit(1);
+    }
+  };
+}
+
+program
+  .command('fetch-data')
+  .description('Export the favicon data from BigQuery, resuming an interrupted export')
+  .option('--query <mode>', `What to export (${QUERY_MODES.join(', ')})`)
+  .option('--project <id>', 'Google Cloud project to run the query in')
+  .option('--table <id>', 'Table to export with --query table')
+  .option('--location <location>', "The dataset's location")
+  .option('--crawl <month>', 'HTTP Archive crawl to extract from, YYYY-MM')
+  .option(
+    '--client <clients>',
+    `Comma-separated HTTP Archive clients to extract from (${CLIENTS.join(', ')})`,
+    (val) => val.split(',').map((s) => s.trim()),
+  )
+  .option('--dry-run', 'Only report how many bytes the query would scan')
+  .option('--restart', 'Discard an interrupted export instead of resuming it')
+  .action(
+    withConfig((config, options) =>
+      fetchData(
+        getStageConfig(config, 'fetchData', {
+          QUERY: options.query,
+          PROJECT_ID: options.project,
+          TABLE_ID: options.table,
+          LOCATION: options.location,
+          CRAWL_DATE: options.crawl,
+          CLIENTS: options.client,
+          DRY_RUN: options.dryRun,
+          RESTART: options.restart,
+        }),
+      ),
+    ),
+  );
+
+program
+  .command('extract')
+  .description('Extract the favicon data from local HTML, WARC or HAR archives')
+  .argument('[inputs...]', 'Files and directories to read, instead of the configured ones')
+  .option('-o, --output <file>', 'File to write the data to')
+  .action(
+    withConfig((config, inputs, options) =>
+      extractFavicons(
+        getStageConfig(config, 'extract', {
+          INPUTS: inputs.length > 0 ? inputs : undefined,
+          OUTPUT_FILE: options.output,
+        }),
+      ),
+    ),
+  );
+
+program
+  .command('process')
+  .description('Resolve, deduplicate and rank the fetched entries')
+  .option(
+    '--rank-source <names>',
+    'Comma-separated rank lists from the config, several are merged',
+    (val) => val.split(',').map((s) => s.trim()),
+  )
+  .option('--rank-merge <method>', `How to merge rank lists (${RANK_MERGE_METHODS.join(', ')})`)
+  .action(
+    withConfig((config, options) =>
+      processFavicons(
+        getStageConfig(config, 'process', {
+          RANK_SOURCES: options.rankSource,
+          RANK_MERGE: options.rankMerge,
+        }),
+      ),
+    ),
+  );
+
+program
+  .command('download')
+  .description('Download the favicons of the processed entries')
+  .option('--start <number>', 'Start index', (val) => parseInt(val, 10))
+  .option('--end <number>', 'End index', (val) => parseInt(val, 10))
+  .option(
+    '--user-agent <string>',
+    'User agent to send, its product token is matched against robots.txt',
+  )
+  .action(
+    withConfig((config, options) =>
+      downloadFavicons(
+        getStageConfig(config, 'download', {
+          START_INDEX: options.start,
+          END_INDEX: options.end,
+          USER_AGENT: options.userAgent,
+        }),
+      ),
+    ),
+  );
+
+program
+  .command('tiles')
+  .description('Generate the icon tiles and the map page')
+  .option('--force', 'Force regeneration of tiles')
+  .option('--emulate [count]', 'Emulate more tiles', (val) => parseInt(val, 10))
+  .option('--layout <mode>', `Slot layout (${TILE_LAYOUTS.join(', ')})`)
+  .option('--repack', 'Pack the stable layout by rank again, moving domains to new slots')
+  .option('--workers <n>', 'Threads encoding tiles, 0 for none', (val) => parseInt(val, 10))
+  .action(
+    withConfig((config, options) => {
+      const overrides = {
+        FORCE_REGEN: options.force,
+        LAYOUT: options.layout,
+        REPACK: options.repack,
+        TILE_WORKERS: options.workers,
+      };
+      if (options.emulate !== undefined) {
+        overrides.EMULATE_MORE_TILES = true;
+        if (options.emulate !== true) overrides.EMULATE_MORE_TILES_TOTAL_ICONS = options.emulate;
+      }
+      return generateTiles(getStageConfig(config, 'tiles', overrides));
+    }),
+  );
+
+program
+  .command('stats')
+  .description('Generate the stats page')
+  .action(withConfig((config) => generateStats(getStageConfig(config, 'stats'))));
+
+program
+  .command('changes')
+  .description('Generate the recent changes page and feed')
+  .action(withConfig((config) => generateChanges(getStageConfig(config, 'changes'))));
+
+program
+  .command('migrate')
+  .description('Move icons from the old flat layout into hashed directories')
+  .action(withConfig((config) => migrateIcons(getStageConfig(config, 'migrate'))));
+
+program
+  .command('run-all')
+  .description('Run every stage in order, skipping those whose inputs are unchanged')
+  .option('--force', 'Run every stage even if its inputs are unchanged')
+  .option(
+    '--skip <stages>',
+    `Comma-separated stages not to run (${STAGES.map((s) => s.name).join(', ')})`,
+    (val) => val.split(',').map((s) => s.trim()),
+    [],
+  )
+  .option('--data-source <stage>', 'Get the data with fetch-data or extract, overriding the config')
+  .action(withConfig((config, options) => runAll(config, options)));
+
+await program.parseAsync();
@@ -0,0 +1,177 @@
+import fs from 'fs/promises';
+import path from 'path';
+import ejs from 'ejs';
+import {
+  getDomain,
+  getDisplayDomain,
+  getIconRelativePath,
+  getIconHistoryRelativePath,
+  streamEntries,
+  ensureDir,
+} from './utils.js';
+import { loadExclusions } from './exclusions.js';
+
+// --- Configuration ---
+// Set from the `changes` section of favicons.config.js when the stage runs
+let CONFIG;
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Copies one version of an icon into the published images directory.
+ * Versions are named by domain and time, so an already published image is never rewritten.
+ * @param {string} sourceDir - ICONS_DIR for the current version, HISTORY_DIR for archived ones.
+ * @param {string} sizedPath - Relative path of the IMAGE_SIZE variant.
+ * @param {string} basePath - Relative path of the base icon, used when there's no sized variant.
+ * @param {string} name - File name to publish under.
+ * @returns {Promise<string|null>} The URL path relative to the site root, or null if missing.
+ */
+async function publishImage(sourceDir, sizedPath, basePath, name) {
+  const publishedPath = path.join(CONFIG.IMAGES_DIR, name);
+  const outputPath = path.join(CONFIG.OUTPUT_DIR, publishedPath);
+  if (await exists(outputPath)) return publishedPath;
+
+  for (const relativePath of [sizedPath, basePath]) {
+    try {
+      await fs.copyFile(path.join(sourceDir, relativePath), outputPath);
+      return publishedPath;
+    } catch (e) {
+      continue;
+    }
+  }
+  return null;
+}
+
+/**
+ * Deletes the published images of excluded domains, so a takedown also takes their
+ * history off the site. Published images are named "domain~timestamp[@size].png".
+ * @param {Set<string>} domains - The excluded domains.
+ * @returns {Promise<number>} How many images were deleted.
+ */
+async function unpublishImages(domains) {
+  const imagesDir = path.join(CONFIG.OUTPUT_DIR, CONFIG.IMAGES_DIR);
+  let removedCount = 0;
+  for (const file of await fs.readdir(imagesDir)) {
+    const separator = file.lastIndexOf('~');
+    if (separator === -1 || !domains.has(file.slice(0, separator))) continue;
+    await fs.rm(path.join(imagesDir, file), { force: true });
+    removedCount++;
+  }
+  return removedCount;
+}
+
+/**
+ * Reads the per-domain icon history kept by the downloader and builds a page and an
+ * Atom feed of the most recent favicon changes, with before and after images.
+ * Excluded domains are left out, and their images unpublished.
+ * @param {Object} config - The `changes` stage config.
+ */
+export async function generateChanges(config) {
+  CONFIG = config;
+  console.log('🔁 Generating recent favicon changes...');
+
+  try {
+    await ensureDir(path.join(CONFIG.OUTPUT_DIR, CONFIG.IMAGES_DIR));
+    const exclusions = await loadExclusions(CONFIG.EXCLUSIONS_FILE);
+    const excludedDomains = new Set();
+
+    // 1. Flatten histories into changes. History is newest first, so the version
+    // that replaced history[i] is history[i - 1], or the current icon for i = 0.
+    const changes = [];
+    for await (const entry of streamEntries(CONFIG.INPUT_FILE)) {
+      const domain = getDomain(entry.url);
+      if (exclusions.match(entry.url)) {
+        excludedDomains.add(domain);
+        continue;
+      }
+      if (!Array.isArray(entry.history) || entry.history.length === 0) continue;
+
+      const currentTime = entry.lastChangeTime || entry.downloadTime;
+
+      entry.history.forEach((version, i) => {
+        const after = i === 0 ? { time: currentTime, current: true } : entry.history[i - 1];
+        changes.push({ entry, domain, before: version, after });
+      });
+    }
+
+    changes.sort((a, b) => new Date(b.before.replacedAt) - new Date(a.before.replacedAt));
+    const recentChanges = changes.slice(0, CONFIG.MAX_CHANGES);
+    console.log(`📊 Found ${changes.length} changes, publishing ${recentChanges.length}.`);
+
+    const removedCount = await unpublishImages(excludedDomains);
+    if (removedCount > 0) {
+      console.log(`🚫 Unpublished ${removedCount} images of excluded domains.`);
+    }
+
+    // 2. Publish the before/after images
+    const items = [];
+    for (const { entry, domain, before, after } of recentChanges) {
+      const sizeOptions = { size: CONFIG.IMAGE_SIZE };
+      const beforeImage = await publishImage(
+        CONFIG.HISTORY_DIR,
+        getIconHistoryRelativePath(entry.url, before.time, sizeOptions),
+        before.path,
+        path.basename(before.path),
+      );
+
+      const afterName = path.basename(getIconHistoryRelativePath(entry.url, after.time));
+      const afterImage = after.current
+        ? await publishImage(
+            CONFIG.ICONS_DIR,
+            getIconRelativePath(entry.url, sizeOptions),
+            getIconRelativePath(entry.url),
+            afterName,
+          )
+        : await publishImage(
+            CONFIG.HISTORY_DIR,
+            getIconHistoryRelativePath(entry.url, after.time, sizeOptions),
+            after.path,
+            afterName,
+          );
+
+      if (!beforeImage || !afterImage) {
+        console.warn(`  ⚠️ Skipped ${domain}: missing icon files for ${before.replacedAt}`);
+        continue;
+      }
+
+      items.push({
+        domain,
+        displayDomain: getDisplayDomain(domain),
+        rank: entry.rank,
+        changedAt: before.replacedAt,
+        beforeImage,
+        afterImage,
+      });
+    }
+
+    // 3. Render the page and the feed
+    const templateData = {
+      hostname: CONFIG.HOSTNAME,
+      imageSize: CONFIG.IMAGE_SIZE,
+      feedFile: CONFIG.FEED_FILE,
+      pageFile: CONFIG.PAGE_FILE,
+      updated: items.length > 0 ? items[0].changedAt : new Date().toISOString(),
+      items,
+    };
+
+    const pageTemplate = await fs.readFile(path.join(process.cwd(), 'changes.ejs'), 'utf-8');
+    const pagePath = path.join(CONFIG.OUTPUT_DIR, CONFIG.PAGE_FILE);
+    await fs.writeFile(pagePath, ejs.render(pageTemplate, templateData));
+    console.log(`✅ Saved changes page: ${pagePath}`);
+
+    const feedTemplate = await fs.readFile(path.join(process.cwd(), 'changes-feed.ejs'), 'utf-8');
+    const feedPath = path.join(CONFIG.OUTPUT_DIR, CONFIG.FEED_FILE);
+    await fs.writeFile(feedPath, ejs.render(feedTemplate, templateData));
+    console.log(`✅ Saved Atom feed: ${feedPath}`);
+  } catch (err) {
+    console.error('❌ Error generating changes:', err.message);
+    throw err;
+  }
+}
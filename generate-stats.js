@@ -1,33 +1,43 @@
 import fs from 'fs/promises';
 import path from 'path';
 import ejs from 'ejs';
-import { getIconRelativePath } from './utils.js';
-
-const CONFIG = {
-  INPUT_FILE: 'favicons-downloaded.json',
-  OUTPUT_FILE: 'stats.html',
-  ICONS_DIR: 'icons',
-};
-
-async function ensureDir(dir) {
+import { getIconRelativePath, streamEntries, ensureDir } from './utils.js';
+import { classifyFailure } from './retry-policy.js';
+import { JUNK_STATUSES } from './icon-formats.js';
+import { loadExclusions } from './exclusions.js';
+
+// --- Configuration ---
+// Set from the `stats` section of favicons.config.js when the stage runs
+let CONFIG;
+
+/**
+ * Reads the per-rule counts of domains dropped when processing.
+ * @param {string} filePath - The report written by the process stage.
+ * @returns {Promise<Object<string, number>>} Rule id -> domains, empty if there's no report.
+ */
+async function readExclusionReport(filePath) {
   try {
-    await fs.access(dir);
-  } catch {
-    await fs.mkdir(dir, { recursive: true });
+    const report = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    return report.excluded || {};
+  } catch (e) {
+    if (e.code === 'ENOENT') return {};
+    throw e;
   }
 }
 
-async function generateStats() {
+/**
+ * Aggregates the download results into stats.html.
+ * @param {Object} config - The `stats` stage config.
+ */
+export async function generateStats(config) {
+  CONFIG = config;
   console.log('📊 Generating statistics...');
 
   try {
     await ensureDir(path.dirname(CONFIG.OUTPUT_FILE));
 
-    const rawData = await fs.readFile(CONFIG.INPUT_FILE, 'utf-8');
-    const data = JSON.parse(rawData);
-
     const stats = {
-      total: data.length,
+      total: 0,
       byStatus: {},
       byHttpStatus: {},
       byError: {},
@@ -40,36 +50,67 @@ async function generateStats() {
         '10KB - 50KB': 0,
         '> 50KB': 0,
       },
+      byIcoFrame: {},
+      byJunk: {},
+      junkCount: 0,
+      crossDomainCount: 0,
+      // Sites crawled by several clients (desktop, mobile), and how their favicons compare
+      clients: { compared: 0, differ: 0, missingLink: {} },
+      // Rule id -> domains it excluded, when processing or since
+      byExclusionRule: await readExclusionReport(CONFIG.EXCLUSIONS_REPORT_FILE),
       totalSize: 0,
       downloadedCount: 0,
     };
 
-    console.log(`Processing ${data.length} entries...`);
-    let processedCount = 0;
+    const exclusions = await loadExclusions(CONFIG.EXCLUSIONS_FILE);
+
+    console.log(`Processing entries from ${CONFIG.INPUT_FILE}...`);
 
     // Use a loop with await for file stats to avoid overwhelming the file system
     // or use Promise.all with concurrency limit if needed, but linear is fine for stats gen.
-    for (const entry of data) {
-      processedCount++;
-      if (processedCount % 1000 === 0) process.stdout.write(`Processed ${processedCount}...\r`);
+    // Entries are streamed, the file is never loaded as a whole.
+    for await (const entry of streamEntries(CONFIG.INPUT_FILE)) {
+      stats.total++;
+      if (stats.total % 1000 === 0) process.stdout.write(`Processed ${stats.total}...\r`);
 
       // Status
       const status = entry.status || 'unknown';
       stats.byStatus[status] = (stats.byStatus[status] || 0) + 1;
 
+      // Junk icons, broken down by reason
+      if (JUNK_STATUSES.includes(status)) {
+        const reason = entry.error || status;
+        stats.byJunk[reason] = (stats.byJunk[reason] || 0) + 1;
+        stats.junkCount++;
+      }
+
+      // Sites whose icon redirects to another domain, left out of the map
+      if (entry.crossDomainRedirect) stats.crossDomainCount++;
+
+      if (entry.clientFavicons) {
+        stats.clients.compared++;
+        if (entry.clientsDiffer) stats.clients.differ++;
+        for (const [client, favicon] of Object.entries(entry.clientFavicons)) {
+          if (favicon === null) {
+            stats.clients.missingLink[client] = (stats.clients.missingLink[client] || 0) + 1;
+          }
+        }
+      }
+
+      // Sites excluded after processing, by the downloader or still waiting for it
+      const exclusion = exclusions.match(entry.url);
+      if (exclusion) {
+        stats.byExclusionRule[exclusion.id] = (stats.byExclusionRule[exclusion.id] || 0) + 1;
+      }
+
       // HTTP Status
       if (entry.httpStatus) {
         stats.byHttpStatus[entry.httpStatus] = (stats.byHttpStatus[entry.httpStatus] || 0) + 1;
       }
 
-      // Errors
+      // Errors, grouped by the class the downloader schedules retries for
       if (entry.error) {
-        let errorMsg = entry.error;
-
-        // Group corrupt header XML errors
-        if (errorMsg.startsWith('Input buffer has corrupt header: glib: XML parse error:')) {
-          errorMsg = 'Input buffer has corrupt header: glib: XML parse error: (grouped)';
-        }
+        const errorMsg = entry.errorCategory || classifyFailure(entry);
 
         stats.byError[errorMsg] = (stats.byError[errorMsg] || 0) + 1;
 
@@ -86,6 +127,14 @@ async function generateStats() {
         }
       }
 
+      // ICO frame picked for the base (smallest) icon size
+      if (entry.icoFrames) {
+        const baseSize = Math.min(...Object.keys(entry.icoFrames).map(Number));
+        const frame = entry.icoFrames[baseSize];
+        const label = `${frame.width}x${frame.height}`;
+        stats.byIcoFrame[label] = (stats.byIcoFrame[label] || 0) + 1;
+      }
+
       // File Size from Disk
       if (status === 'downloaded' || status === 'not_modified' || status === 'skipped_recent') {
         try {
@@ -114,16 +163,29 @@ async function generateStats() {
 
     const templatePath = path.join(process.cwd(), 'stats.ejs');
     const template = await fs.readFile(templatePath, 'utf-8');
+    // Every current rule, then counts left by rules removed since processing
+    const exclusionRules = exclusions.rules.map((rule) => ({
+      ...rule,
+      count: stats.byExclusionRule[rule.id] || 0,
+    }));
+    for (const [id, count] of Object.entries(stats.byExclusionRule)) {
+      if (!exclusions.rules.some((rule) => rule.id === id)) {
+        exclusionRules.push({ id, category: 'removed', reason: 'Rule no longer in use', count });
+      }
+    }
+    const excludedCount = exclusionRules.reduce((sum, rule) => sum + rule.count, 0);
+
     const html = ejs.render(template, {
       stats,
       avgSize,
+      exclusionRules,
+      excludedCount,
     });
 
     await fs.writeFile(CONFIG.OUTPUT_FILE, html);
     console.log(`✅ Stats saved to ${CONFIG.OUTPUT_FILE}`);
   } catch (err) {
     console.error('❌ Error generating stats:', err.message);
+    throw err;
   }
 }
-
-generateStats();
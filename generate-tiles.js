@@ -1,46 +1,135 @@
 import fs from 'fs/promises';
+import os from 'os';
 import path from 'path';
-import sharp from 'sharp';
 import ejs from 'ejs';
-import { Command } from 'commander';
-import { getIconRelativePath, getDomain, loadIconMtimes } from './utils.js';
+import sharp from 'sharp';
+import {
+  getIconRelativePath,
+  getDomain,
+  getDisplayDomain,
+  loadIconMtimes,
+  hashContent,
+  streamEntries,
+  writeEntries,
+  ensureDir,
+} from './utils.js';
+import { loadExclusions } from './exclusions.js';
+import { createIconCache } from './icon-cache.js';
+import { createCompositePool } from './composite-pool.js';
+
+export const TILE_LAYOUTS = ['stable', 'rank'];
 
-const program = new Command();
+// --- Configuration ---
+// Set from the `tiles` section of favicons.config.js when the stage runs
+let CONFIG;
+// Resized icons shared by every composite, and the workers rendering them
+let iconCache;
+let compositePool;
+
+const PROGRESS_INTERVAL_MS = 10 * 1000;
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
 
-program
-  .option('--force', 'Force regeneration of tiles')
-  .option('--emulate [count]', 'Emulate more tiles', (val) => parseInt(val, 10), 0);
+/**
+ * Relative paths of the icon files used for an entry at 1x and at RETINA_SCALE.
+ * Icons downloaded before sized variants existed fall back to the base icon.
+ * @returns {{base: string, retina: string}}
+ */
+function getTileIconPaths(entry, iconMtimes) {
+  const base = getIconRelativePath(entry.url);
+  const retinaVariant = getIconRelativePath(entry.url, {
+    size: CONFIG.ICON_SIZE * CONFIG.RETINA_SCALE,
+  });
+  return { base, retina: iconMtimes.has(retinaVariant) ? retinaVariant : base };
+}
 
-program.parse();
-const options = program.opts();
+/**
+ * The srcset for a tile, offering the RETINA_SCALE image to high-DPI screens.
+ * @param {{image: string, retina: string}} files - The tile's files in the manifest.
+ * @returns {string} The srcset attribute value.
+ */
+function getTileSrcset(files) {
+  return `${files.image} 1x, ${files.retina} ${CONFIG.RETINA_SCALE}x`;
+}
 
-// --- Configuration ---
-const CONFIG = {
-  INPUT_FILE: 'favicons-downloaded.json',
-  OUTPUT_FILE: 'favicons-tiled.json',
-  ICONS_DIR: 'icons',
-  TILES_DIR: 'dist',
-  GRID_SIZE: 10,
-  ICON_SIZE: 32,
-  BORDER_SIZE: 2,
-  BACKGROUND_COLOR: { r: 255, g: 255, b: 255, alpha: 0 },
-  EAGER_LOAD_TILES: 8,
-  HIGH_PRIORITY_TILES: 4,
-  HOSTNAME: 'favoriteiconsofinternet.com',
-  FORCE_REGEN: options.force,
-  EMULATE_MORE_TILES: options.emulate !== 0,
-  EMULATE_MORE_TILES_TOTAL_ICONS: options.emulate === true ? 20000 : options.emulate,
-};
-
-async function ensureDir(dir) {
+/**
+ * Builds a content key for a composite image from the domains and the icon hashes
+ * stored by the downloader, so staleness doesn't depend on filesystem mtimes.
+ * @param {Array<Object>} entries - The entries drawn in the composite, in order.
+ * @returns {string|null} The key, or null if any entry has no stored hash (mtimes are used then).
+ */
+function getCompositeKey(entries) {
+  if (entries.some((entry) => entry && !entry.iconHash && !entry.excludedBy)) return null;
+  const layout = JSON.stringify([CONFIG.ICON_SIZE, CONFIG.BORDER_SIZE, CONFIG.RETINA_SCALE]);
+  return hashContent(
+    layout,
+    ...entries.map((entry) =>
+      !entry || entry.excludedBy ? '\n-' : `\n${getDomain(entry.url)}:${entry.iconHash}`,
+    ),
+  );
+}
+
+async function readTileSlots(filePath) {
   try {
-    await fs.access(dir);
-  } catch {
-    await fs.mkdir(dir, { recursive: true });
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+/**
+ * Assigns every entry a slot on the map, slot N being cell N % GRID_SIZE² of tile
+ * N / GRID_SIZE² + 1. The 'rank' layout packs the entries in rank order. The 'stable'
+ * layout keeps the slots of the previous run, so a domain gaining or losing its icon
+ * doesn't shift every domain after it: new domains take the slots freed since, the best
+ * ranked the lowest slot, then are appended after the last one. Excluded domains only
+ * hold the slot they had in a stable layout, left empty, packing drops them.
+ * @param {Array<Object>} entries - The entries to lay out, sorted by rank.
+ * @param {Object|null} previous - The slot file of the previous run, null to pack by rank.
+ * @returns {{slots: Array<Object|null>, counts: Object}} The entry in each slot (null for
+ *   an empty one), and how many entries kept, filled or were appended to slots.
+ */
+function layoutSlots(entries, previous) {
+  if (!previous) {
+    const shown = entries.filter((entry) => !entry.excludedBy);
+    return { slots: shown, counts: { kept: 0, filled: 0, appended: shown.length } };
+  }
+
+  const slots = [];
+  const newEntries = [];
+  let kept = 0;
+  for (const entry of entries) {
+    const slot = previous.slots[getDomain(entry.url)];
+    if (slot !== undefined) {
+      slots[slot] = entry;
+      kept++;
+    } else if (!entry.excludedBy) {
+      newEntries.push(entry);
+    }
+  }
+
+  const freeSlots = [];
+  for (let slot = 0; slot < slots.length; slot++) {
+    if (!slots[slot]) freeSlots.push(slot);
   }
+  let filled = 0;
+  for (const entry of newEntries) {
+    if (filled < freeSlots.length) slots[freeSlots[filled++]] = entry;
+    else slots.push(entry);
+  }
+
+  for (let slot = 0; slot < slots.length; slot++) slots[slot] ??= null;
+  return { slots, counts: { kept, filled, appended: newEntries.length - filled } };
 }
 
-async function generateOgImage(entries, cellSize, iconMtimes) {
+async function generateOgImage(entries, cellSize, iconMtimes, tileHashes) {
   const ogImagePath = path.join(CONFIG.TILES_DIR, 'og_image.webp');
   console.log('\n🎨 Generating Open Graph Image...');
   const width = 1200;
@@ -50,6 +139,7 @@ async function generateOgImage(entries, cellSize, iconMtimes) {
   const maxIcons = cols * rows;
 
   const iconsToUse = entries.slice(0, Math.min(entries.length, maxIcons));
+  const ogKey = getCompositeKey(iconsToUse);
   let shouldGenerate = CONFIG.FORCE_REGEN;
 
   if (!shouldGenerate) {
@@ -57,14 +147,18 @@ async function generateOgImage(entries, cellSize, iconMtimes) {
       const ogStats = await fs.stat(ogImagePath);
       const ogMtime = ogStats.mtimeMs;
 
-      // Check if any used icon is newer
+      // Check if any used icon changed, by stored hashes when available or else by mtime
       let isStale = false;
-      for (const entry of iconsToUse) {
-        const relativePath = getIconRelativePath(entry.url);
-        const iconMtime = iconMtimes.get(relativePath);
-        if (iconMtime && iconMtime > ogMtime) {
-          isStale = true;
-          break;
+      if (ogKey) {
+        isStale = tileHashes.og_image !== ogKey;
+      } else {
+        for (const entry of iconsToUse) {
+          const relativePath = getIconRelativePath(entry.url);
+          const iconMtime = iconMtimes.get(relativePath);
+          if (iconMtime && iconMtime > ogMtime) {
+            isStale = true;
+            break;
+          }
         }
       }
 
@@ -83,101 +177,114 @@ async function generateOgImage(entries, cellSize, iconMtimes) {
     console.log(`  🔄 Force regenerating OG Image...`);
   }
 
+  // Use the top ranked icons, the same resized icons tile #1 and on are drawn with
   const composites = [];
+  await Promise.all(
+    iconsToUse.map(async (entry, i) => {
+      const col = i % cols;
+      const row = Math.floor(i / cols);
+      try {
+        const iconPath = path.join(CONFIG.ICONS_DIR, getIconRelativePath(entry.url));
+        const { data, raw } = await iconCache.get(iconPath, CONFIG.ICON_SIZE);
+        composites.push({
+          input: data,
+          raw,
+          top: row * cellSize + CONFIG.BORDER_SIZE,
+          left: col * cellSize + CONFIG.BORDER_SIZE,
+        });
+      } catch (e) {
+        // Left blank
+      }
+    }),
+  );
+
+  const image = await compositePool.render({
+    width,
+    height,
+    background: CONFIG.BACKGROUND_COLOR,
+    composites,
+    format: 'webp',
+    options: { quality: 20 },
+  });
+  await fs.writeFile(ogImagePath, image);
+  tileHashes.og_image = ogKey;
+  console.log('✅ Saved OG Image: dist/og_image.webp');
+}
 
-  // Use the top ranked icons
-  for (let i = 0; i < iconsToUse.length; i++) {
-    const entry = iconsToUse[i];
-    const col = i % cols;
-    const row = Math.floor(i / cols);
-    const left = col * cellSize + CONFIG.BORDER_SIZE;
-    const top = row * cellSize + CONFIG.BORDER_SIZE;
+/**
+ * Name of a published tile file, carrying a hash of its content so it can be cached forever.
+ * @param {string} name - The file's base name (e.g., "tile_3@2x").
+ * @param {Buffer|string} content - The file's content.
+ * @param {string} extension - The file extension.
+ * @returns {string} E.g. "tile_3@2x.1a2b3c4d5e6f.avif".
+ */
+function getHashedFilename(name, content, extension) {
+  return `${name}.${hashContent(content).slice(0, 12)}.${extension}`;
+}
 
-    try {
-      const iconPath = path.join(CONFIG.ICONS_DIR, getIconRelativePath(entry.url));
-      const resized = await sharp(iconPath)
-        .resize(CONFIG.ICON_SIZE, CONFIG.ICON_SIZE)
-        .png() // Convert to PNG first to ensure transparency is handled well before resizing/compositing if needed, but standard sharp pipeline handles this. Keeping png() as intermediate is fine, but output must be avif.
-        // Actually, we can just resize and toBuffer. Sharp handles formats.
-        .toBuffer();
-
-      composites.push({ input: resized, top, left });
-    } catch (e) {
-      continue;
-    }
+async function readManifest(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return { tiles: {} };
+    throw e;
   }
-
-  await sharp({
-    create: {
-      width,
-      height,
-      channels: 4,
-      background: CONFIG.BACKGROUND_COLOR,
-    },
-  })
-    .composite(composites)
-    .webp({ quality: 20 }) // Change to webp with 25% quality
-    .toFile(ogImagePath);
-  console.log('✅ Saved OG Image: dist/og_image.webp');
 }
 
+/**
+ * Generates one tile, unless the files the previous manifest lists for it are still current.
+ * @param {Array<Object|null>} chunk - The entries in the tile's slots, null for empty ones.
+ * @param {number|string} tileIndex - The tile index.
+ * @param {Object} [previousFiles] - The tile's files in the previous manifest.
+ * @returns {Promise<{changed: boolean, files: Object|null}>} Whether the tile was regenerated,
+ *   and its image, retina image and domain-map files.
+ */
 async function generateOneTile(
   chunk,
   tileIndex,
+  previousFiles,
   lastExistingTileIndex,
   cellSize,
   imageSize,
   iconMtimes,
+  tileHashes,
 ) {
-  const tileFilename = `tile_${tileIndex}.avif`;
-  const tilePath = path.join(CONFIG.TILES_DIR, tileFilename);
-  const domainsJsonFilename = `tile_${tileIndex}.json`;
-  const domainsJsonPath = path.join(CONFIG.TILES_DIR, domainsJsonFilename);
+  const retinaIconSize = CONFIG.ICON_SIZE * CONFIG.RETINA_SCALE;
+  const tileKey = getCompositeKey(chunk);
 
   console.log(`\n🎨 Generating Tile #${tileIndex} (${chunk.length} icons)...`);
 
-  const composites = [];
   const domains = [];
+  let placedEntries = [];
 
   for (let j = 0; j < chunk.length; j++) {
     const entry = chunk[j];
-    const domain = getDomain(entry.url);
-    domains.push(domain);
+    if (!entry || entry.excludedBy) {
+      // An empty slot, the map skips it
+      domains.push(null);
+      continue;
+    }
+    // Unicode names for IDNs, they're shown as image-map titles
+    domains.push(getDisplayDomain(getDomain(entry.url)));
 
     // Calculate position
     const col = j % CONFIG.GRID_SIZE;
     const row = Math.floor(j / CONFIG.GRID_SIZE);
-    const left = col * cellSize + CONFIG.BORDER_SIZE;
-    const top = row * cellSize + CONFIG.BORDER_SIZE;
-
-    try {
-      // Resize image to ensure it fits the target size
-      const iconPath = path.join(CONFIG.ICONS_DIR, getIconRelativePath(entry.url));
-      const resizedImageBuffer = await sharp(iconPath)
-        .resize(CONFIG.ICON_SIZE, CONFIG.ICON_SIZE)
-        .png()
-        .toBuffer();
-
-      // Add to image composite list
-      composites.push({
-        input: resizedImageBuffer,
-        top: top,
-        left: left,
-      });
-    } catch (err) {
-      console.warn(`  ⚠️ Skipped resizing/compositing for ${entry.url}: ${err.message}`);
-      continue; // Skip this one if resizing fails
-    }
 
-    // Update entry with tile info
+    // Update entry with tile info, the file is known once the tile is hashed
     entry.tile = {
-      file: tileFilename,
+      file: null,
       index: j,
       row: row,
       col: col,
     };
+    placedEntries.push(entry);
   }
 
+  const setTileFile = (files) => {
+    for (const entry of placedEntries) entry.tile.file = files?.image ?? null;
+  };
+
   // Generate Image and JSON
   try {
     let shouldGenerate = CONFIG.FORCE_REGEN;
@@ -188,12 +295,16 @@ async function generateOneTile(
         shouldGenerate = true;
       } else {
         try {
-          const tileStats = await fs.stat(tilePath);
-          const tileMtime = tileStats.mtimeMs;
+          if (!previousFiles) throw new Error('Not in the manifest');
+          // Both resolutions are generated together, so the older one decides
+          const tileStats = await fs.stat(path.join(CONFIG.TILES_DIR, previousFiles.image));
+          const retinaTileStats = await fs.stat(path.join(CONFIG.TILES_DIR, previousFiles.retina));
+          const tileMtime = Math.min(tileStats.mtimeMs, retinaTileStats.mtimeMs);
 
           // Check if JSON exists and content matches
           let jsonContentChanged = false;
           try {
+            const domainsJsonPath = path.join(CONFIG.TILES_DIR, previousFiles.domains);
             const existingJson = JSON.parse(await fs.readFile(domainsJsonPath, 'utf-8'));
             if (JSON.stringify(existingJson) !== JSON.stringify(domains)) {
               jsonContentChanged = true;
@@ -207,14 +318,20 @@ async function generateOneTile(
           if (jsonContentChanged) {
             shouldGenerate = true;
           } else {
-            // Check if any icon in this chunk is newer than the tile
+            // Check if any icon in this chunk changed, by stored hashes when available
+            // or else by mtime at every resolution
             let isStale = false;
-            for (const entry of chunk) {
-              const relativePath = getIconRelativePath(entry.url);
-              const iconMtime = iconMtimes.get(relativePath);
-              if (iconMtime && iconMtime > tileMtime) {
-                isStale = true;
-                break;
+            if (tileKey) {
+              isStale = tileHashes[tileIndex] !== tileKey;
+            } else {
+              for (const entry of chunk) {
+                if (!entry) continue;
+                const { base, retina } = getTileIconPaths(entry, iconMtimes);
+                const iconMtime = Math.max(iconMtimes.get(base) || 0, iconMtimes.get(retina) || 0);
+                if (iconMtime > tileMtime) {
+                  isStale = true;
+                  break;
+                }
               }
             }
 
@@ -235,119 +352,325 @@ async function generateOneTile(
       console.log(`  🔄 Force regenerating Tile #${tileIndex}...`);
     }
 
-    // Check if JSON exists, if not, force generation of at least JSON
-    let shouldGenerateJson = shouldGenerate;
+    if (!shouldGenerate) {
+      setTileFile(previousFiles);
+      return { changed: false, files: previousFiles };
+    }
 
-    if (!shouldGenerateJson) {
-      try {
-        await fs.access(domainsJsonPath);
-      } catch {
-        console.log(`  ✨ JSON for Tile #${tileIndex} is missing. Generating...`);
-        shouldGenerateJson = true;
-      }
+    // Only now are the icons read, resized through the cache shared with other composites
+    const composites = [];
+    const retinaComposites = [];
+    const failedEntries = new Set();
+    await Promise.all(
+      placedEntries.map(async (entry) => {
+        const left = entry.tile.col * cellSize + CONFIG.BORDER_SIZE;
+        const top = entry.tile.row * cellSize + CONFIG.BORDER_SIZE;
+        try {
+          const iconPaths = getTileIconPaths(entry, iconMtimes);
+          const [icon, retinaIcon] = await Promise.all([
+            iconCache.get(path.join(CONFIG.ICONS_DIR, iconPaths.base), CONFIG.ICON_SIZE),
+            iconCache.get(path.join(CONFIG.ICONS_DIR, iconPaths.retina), retinaIconSize),
+          ]);
+          composites.push({ input: icon.data, raw: icon.raw, top, left });
+          retinaComposites.push({
+            input: retinaIcon.data,
+            raw: retinaIcon.raw,
+            top: top * CONFIG.RETINA_SCALE,
+            left: left * CONFIG.RETINA_SCALE,
+          });
+        } catch (err) {
+          console.warn(`  ⚠️ Skipped resizing/compositing for ${entry.url}: ${err.message}`);
+          failedEntries.add(entry);
+        }
+      }),
+    );
+    for (const entry of failedEntries) delete entry.tile;
+    placedEntries = placedEntries.filter((entry) => !failedEntries.has(entry));
+
+    // Files are named after their content, so they're rendered before being written
+    const domainsJson = JSON.stringify(domains, null, 2);
+    const render = (size, tileComposites) =>
+      compositePool.render({
+        width: size,
+        height: size,
+        background: CONFIG.BACKGROUND_COLOR,
+        composites: tileComposites,
+        format: 'avif',
+      });
+    const [image, retinaImage] = await Promise.all([
+      render(imageSize, composites),
+      render(imageSize * CONFIG.RETINA_SCALE, retinaComposites),
+    ]);
+
+    const files = {
+      image: getHashedFilename(`tile_${tileIndex}`, image, 'avif'),
+      retina: getHashedFilename(`tile_${tileIndex}@${CONFIG.RETINA_SCALE}x`, retinaImage, 'avif'),
+      domains: getHashedFilename(`tile_${tileIndex}`, domainsJson, 'json'),
+    };
+    await fs.writeFile(path.join(CONFIG.TILES_DIR, files.domains), domainsJson);
+    console.log(`  ✅ Saved Domains JSON: ${files.domains}`);
+    await fs.writeFile(path.join(CONFIG.TILES_DIR, files.image), image);
+    console.log(`  ✅ Saved Image: ${files.image}`);
+    await fs.writeFile(path.join(CONFIG.TILES_DIR, files.retina), retinaImage);
+    console.log(`  ✅ Saved Image: ${files.retina}`);
+
+    tileHashes[tileIndex] = tileKey;
+    setTileFile(files);
+    return { changed: true, files };
+  } catch (err) {
+    console.error(`  ❌ Error generating image for tile ${tileIndex}: ${err.message}`);
+    setTileFile(previousFiles);
+    return { changed: false, files: previousFiles ?? null };
+  }
+}
+
+/**
+ * Renders one zoom tile from the 2x2 tiles below it: their images side by side make the
+ * @2x file, scaled down by half they make the 1x one.
+ * @param {Array<string|null>} sources - Image files of the top-left, top-right, bottom-left
+ *   and bottom-right tiles, null where the map ends.
+ * @param {{image: string, retina: string}} files - The files to write.
+ * @param {number} imageSize - Tile size in pixels.
+ * @returns {Promise<boolean>} Whether it was rendered, false if its files already existed.
+ */
+async function generateZoomTile(sources, files, imageSize) {
+  if (!CONFIG.FORCE_REGEN) {
+    try {
+      await fs.access(path.join(CONFIG.TILES_DIR, files.image));
+      await fs.access(path.join(CONFIG.TILES_DIR, files.retina));
+      return false;
+    } catch (e) {
+      // Not rendered yet
     }
+  }
 
-    if (shouldGenerateJson) {
-      try {
-        await fs.writeFile(domainsJsonPath, JSON.stringify(domains, null, 2));
-        console.log(`  ✅ Saved Domains JSON: ${domainsJsonPath}`);
-      } catch (err) {
-        console.error(`  ❌ Error saving domains JSON for tile ${tileIndex}: ${err.message}`);
+  const composites = [];
+  await Promise.all(
+    sources.map(async (file, i) => {
+      if (!file) return;
+      const { data, info } = await sharp(path.join(CONFIG.TILES_DIR, file))
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      composites.push({
+        input: data,
+        raw: { width: info.width, height: info.height, channels: info.channels },
+        top: Math.floor(i / 2) * imageSize,
+        left: (i % 2) * imageSize,
+      });
+    }),
+  );
+  const spec = {
+    width: imageSize * 2,
+    height: imageSize * 2,
+    background: CONFIG.BACKGROUND_COLOR,
+    composites,
+    format: 'avif',
+  };
+  const [image, retinaImage] = await Promise.all([
+    compositePool.render({ ...spec, resize: imageSize }),
+    compositePool.render(spec),
+  ]);
+  await fs.writeFile(path.join(CONFIG.TILES_DIR, files.image), image);
+  await fs.writeFile(path.join(CONFIG.TILES_DIR, files.retina), retinaImage);
+  return true;
+}
+
+/**
+ * Builds the zoomed-out levels of the map. For them the tiles are laid out ZOOM_COLUMNS
+ * wide, and each level merges 2x2 tiles of the level below at half size, up to a level
+ * where one tile shows the whole map. Zoom files are named after the files they merge, so
+ * only those whose source tiles changed are rendered again, and identical ones (e.g., of
+ * emulated tiles) only once.
+ * @param {Object} manifest - The tile manifest, its `zoom` section is set.
+ * @param {number} tileCount - Generated tiles.
+ * @param {number} totalTiles - Tiles on the map, emulated ones included.
+ * @param {number} imageSize - Tile size in pixels.
+ * @param {number} concurrency - Zoom tiles rendered at once.
+ */
+async function generateZoomLevels(manifest, tileCount, totalTiles, imageSize, concurrency) {
+  let columns = CONFIG.ZOOM_COLUMNS;
+  let rows = Math.ceil(totalTiles / columns);
+  manifest.zoom = { columns, rows, retinaScale: 2, levels: {} };
+
+  // Image file of a tile of the level below
+  let getSource = (x, y) => {
+    const tileIndex = y * CONFIG.ZOOM_COLUMNS + x + 1;
+    if (x >= CONFIG.ZOOM_COLUMNS || tileIndex > totalTiles) return null;
+    return manifest.tiles[tileIndex <= tileCount ? tileIndex : 'emulated']?.image ?? null;
+  };
+
+  for (let level = 1; columns > 1 || rows > 1; level++) {
+    columns = Math.ceil(columns / 2);
+    rows = Math.ceil(rows / 2);
+    const tiles = {};
+    const rendering = new Map(); // Image file -> promise of its rendering
+    let renderedCount = 0;
+
+    const executing = new Set();
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < columns; x++) {
+        const sources = [
+          getSource(2 * x, 2 * y),
+          getSource(2 * x + 1, 2 * y),
+          getSource(2 * x, 2 * y + 1),
+          getSource(2 * x + 1, 2 * y + 1),
+        ];
+        if (sources.every((file) => !file)) continue;
+
+        const key = hashContent(JSON.stringify({ sources, background: CONFIG.BACKGROUND_COLOR }));
+        const files = {
+          image: `tile_z${level}.${key.slice(0, 12)}.avif`,
+          retina: `tile_z${level}@2x.${key.slice(0, 12)}.avif`,
+        };
+        tiles[`${x}_${y}`] = files;
+        if (rendering.has(files.image)) continue;
+
+        const p = generateZoomTile(sources, files, imageSize).then(
+          (rendered) => rendered && renderedCount++,
+          (err) => {
+            console.error(`  ❌ Error generating zoom tile ${files.image}: ${err.message}`);
+            for (const [position, other] of Object.entries(tiles)) {
+              if (other.image === files.image) delete tiles[position];
+            }
+          },
+        );
+        rendering.set(files.image, p);
+
+        executing.add(p);
+        const clean = () => executing.delete(p);
+        p.then(clean);
+
+        if (executing.size >= concurrency) {
+          await Promise.race(executing);
+        }
       }
     }
+    await Promise.all(executing);
 
-    if (shouldGenerate) {
-      await sharp({
-        create: {
-          width: imageSize,
-          height: imageSize,
-          channels: 4,
-          background: CONFIG.BACKGROUND_COLOR,
-        },
-      })
-        .composite(composites)
-        .avif() // Changed to .avif()
-        .toFile(tilePath);
-      console.log(`  ✅ Saved Image: ${tilePath}`);
-    }
-  } catch (err) {
-    console.error(`  ❌ Error generating image for tile ${tileIndex}: ${err.message}`);
+    manifest.zoom.levels[level] = { columns, rows, tiles };
+    getSource = (x, y) => tiles[`${x}_${y}`]?.image ?? null;
+    console.log(`🔭 Zoom level ${level}: ${columns}x${rows} tiles, ${renderedCount} rendered.`);
   }
 }
 
-async function generateTiles() {
+/**
+ * Lays out the downloaded icons into AVIF tiles and renders the map page. Domains keep
+ * their slot from one run to the next, or are packed by rank (see layoutSlots).
+ * @param {Object} config - The `tiles` stage config.
+ */
+export async function generateTiles(config) {
+  CONFIG = config;
   console.log('🚀 Starting tile generation process...');
 
   // 1. Setup
   await ensureDir(CONFIG.TILES_DIR);
   const iconMtimes = await loadIconMtimes(CONFIG.ICONS_DIR);
 
-  // 2. Load Data
-  console.log(`📖 Reading ${CONFIG.INPUT_FILE}...`);
-  let entries = [];
+  let tileHashes = {};
   try {
-    const rawData = await fs.readFile(CONFIG.INPUT_FILE, 'utf-8');
-    entries = JSON.parse(rawData);
-    if (!Array.isArray(entries)) {
-      console.warn('⚠️ Input file is not an array, defaulting to empty list.');
-      entries = [];
-    }
+    tileHashes = JSON.parse(await fs.readFile(CONFIG.TILE_HASHES_FILE, 'utf-8'));
   } catch (e) {
-    console.warn(`⚠️ Failed to read/parse input file: ${e.message}. Defaulting to empty list.`);
-    entries = [];
+    // First run or unreadable, every tile falls back to the other checks
   }
 
-  // 3. Filter and Sort
+  // 2. Load Data, 3. Filter and Sort
   // We only want entries that are successfully downloaded/present locally
-  // and we want them sorted by rank.
-  const validEntries = entries
-    .filter((e) => {
+  // and we want them sorted by rank. Junk icons (invalid_html, empty, blank_image)
+  // keep their status and are left out, as are icons of sites that redirect to
+  // another domain (parked or sold domains show the new owner's icon).
+  // Sites excluded since they were downloaded keep their slot, left empty, so
+  // a takedown only changes the tile it was on.
+  // Entries are streamed and only the valid ones are kept in memory.
+  const exclusions = await loadExclusions(CONFIG.EXCLUSIONS_FILE);
+  console.log(`📖 Reading ${CONFIG.INPUT_FILE}...`);
+  const validEntries = [];
+  let excludedCount = 0;
+  try {
+    for await (const e of streamEntries(CONFIG.INPUT_FILE)) {
       const relativePath = getIconRelativePath(e.url);
       const mtime = iconMtimes.get(relativePath);
 
-      if (
+      const hasSlot =
         (e.status === 'downloaded' ||
           e.status === 'not_modified' ||
-          e.status === 'skipped_recent') &&
+          e.status === 'skipped_recent' ||
+          e.status === 'excluded') &&
+        !e.crossDomainRedirect &&
         mtime &&
-        e.rank
-      ) {
+        e.rank;
+      if (!hasSlot) continue;
+
+      const exclusion = exclusions.match(e.url);
+      if (exclusion) {
+        const { tile, ...rest } = e;
+        validEntries.push({ ...rest, excludedBy: exclusion.id });
+        excludedCount++;
+      } else if (e.status !== 'excluded') {
         // Update timestamps if missing, using file mtime
         if (!e.lastCheckTime) e.lastCheckTime = new Date(mtime).toISOString();
         if (!e.downloadTime) e.downloadTime = new Date(mtime).toISOString();
-        return true;
+        validEntries.push(e);
       }
-      return false;
-    })
-    .sort((a, b) => a.rank - b.rank);
+    }
+  } catch (e) {
+    console.warn(`⚠️ Failed to read input file: ${e.message}. Defaulting to empty list.`);
+  }
+  validEntries.sort((a, b) => a.rank - b.rank);
+
+  console.log(`📊 Found ${validEntries.length - excludedCount} valid icons to tile.`);
 
-  console.log(`📊 Found ${validEntries.length} valid icons to tile.`);
+  // 4. Slots and chunking
+  if (!TILE_LAYOUTS.includes(CONFIG.LAYOUT)) {
+    throw new Error(`Unknown tile layout "${CONFIG.LAYOUT}", expected one of ${TILE_LAYOUTS}`);
+  }
+  let previousSlots = null;
+  if (CONFIG.LAYOUT === 'stable' && !CONFIG.REPACK) {
+    previousSlots = await readTileSlots(CONFIG.TILE_SLOTS_FILE);
+    if (previousSlots && previousSlots.gridSize !== CONFIG.GRID_SIZE) {
+      console.log(`📐 GRID_SIZE changed since the slots were assigned, repacking by rank.`);
+      previousSlots = null;
+    }
+  }
+  const { slots, counts: slotCounts } = layoutSlots(validEntries, previousSlots);
+  const heldCount = slots.filter((entry) => entry?.excludedBy).length;
+  if (heldCount > 0) console.log(`🚫 Leaving ${heldCount} slots of excluded domains empty.`);
+  if (previousSlots) {
+    const freeCount = slots.filter((entry) => !entry).length;
+    console.log(
+      `📌 Stable layout: ${slotCounts.kept} kept their slot, ${slotCounts.filled} filled freed slots, ${slotCounts.appended} appended, ${freeCount} slots empty.`,
+    );
+  } else {
+    console.log(`📌 Packing ${slots.length} slots by rank.`);
+  }
 
-  // 4. Chunking
   const chunkSize = CONFIG.GRID_SIZE * CONFIG.GRID_SIZE; // 100
   const chunks = [];
-  for (let i = 0; i < validEntries.length; i += chunkSize) {
-    chunks.push(validEntries.slice(i, i + chunkSize));
+  for (let i = 0; i < slots.length; i += chunkSize) {
+    chunks.push(slots.slice(i, i + chunkSize));
   }
 
   console.log(`🧩 Creating ${chunks.length} tiles...`);
 
-  // Find the last existing tile to force its regeneration
+  // Tiles are published under content-hashed names, the manifest says which are current
+  const manifestPath = path.join(CONFIG.TILES_DIR, 'manifest.json');
+  const previousManifest = await readManifest(manifestPath);
+  const manifest = {
+    generatedAt: new Date().toISOString(),
+    retinaScale: CONFIG.RETINA_SCALE,
+    tiles: {},
+  };
+
+  // Find the last existing tile to force its regeneration.
+  // Stable layouts leave tiles alone unless their content changed.
   let lastExistingTileIndex = 0;
-  try {
-    const files = await fs.readdir(CONFIG.TILES_DIR);
-    const tileFiles = files.filter((f) => f.startsWith('tile_') && f.endsWith('.avif'));
-    const indices = tileFiles
-      .map((f) => {
-        const match = f.match(/tile_(\d+)\.avif/);
-        return match ? parseInt(match[1]) : null;
-      })
-      .filter((n) => n !== null && !isNaN(n));
+  if (CONFIG.LAYOUT !== 'stable') {
+    const indices = Object.keys(previousManifest.tiles)
+      .map((key) => parseInt(key, 10))
+      .filter((n) => !isNaN(n));
     if (indices.length > 0) {
       lastExistingTileIndex = Math.max(...indices);
     }
-  } catch (e) {
-    // Directory might not exist yet
   }
 
   if (lastExistingTileIndex > 0) {
@@ -359,106 +682,200 @@ async function generateTiles() {
   const cellSize = CONFIG.ICON_SIZE + CONFIG.BORDER_SIZE * 2; // 32 + 2 + 2 = 36
   const imageSize = cellSize * CONFIG.GRID_SIZE; // 36 * 10 = 360
 
-  // Generate OG Image
-  await generateOgImage(validEntries, cellSize, iconMtimes);
+  // Icons are resized once for every composite drawing them, tiles are encoded in workers
+  const workerCount = CONFIG.TILE_WORKERS ?? os.availableParallelism();
+  iconCache = createIconCache({ maxEntries: CONFIG.ICON_CACHE_SIZE });
+  compositePool = createCompositePool(workerCount);
 
-  let eagerImagesHtml = '';
-  let lazyImagesHtml = '';
+  // Generate OG Image
+  const shownEntries = validEntries.filter((e) => !e.excludedBy);
+  await generateOgImage(shownEntries, cellSize, iconMtimes, tileHashes);
 
   // 5. Process Chunks
-  for (let i = 0; i < chunks.length; i++) {
-    const chunk = chunks[i];
-    const tileIndex = i + 1;
-    const tileFilename = `tile_${tileIndex}.avif`;
-    await generateOneTile(chunk, tileIndex, lastExistingTileIndex, cellSize, imageSize, iconMtimes);
-
-    // Append to Accumulators
-    const mapName = `map_${tileIndex}`;
-
-    // Add Image to Image Accumulator
-    const isEager = tileIndex <= CONFIG.EAGER_LOAD_TILES;
-    const loadingAttr = isEager ? '' : ' loading="lazy"';
-    const fetchPriorityAttr =
-      tileIndex <= CONFIG.HIGH_PRIORITY_TILES ? ' fetchpriority="high"' : '';
-    const imgTag = `<img src="${tileFilename}" usemap="#${mapName}" width="${imageSize}" height="${imageSize}"${loadingAttr}${fetchPriorityAttr} onload="loadMap(this, ${tileIndex})">\n`;
-
-    if (isEager) {
-      eagerImagesHtml += imgTag;
-      // Do not inline map for eager tiles anymore, JS will handle it
-    } else {
-      lazyImagesHtml += imgTag;
+  // Enough tiles are in flight to keep every worker busy while the next ones read their icons
+  const startTime = Date.now();
+  let doneCount = 0;
+  const changedTiles = [];
+  const reportProgress = () => {
+    const elapsed = Date.now() - startTime;
+    const eta = (elapsed / doneCount) * (chunks.length - doneCount);
+    console.log(
+      `\n⏳ ${doneCount}/${chunks.length} tiles done, ${changedTiles.length} regenerated, ETA ${formatDuration(eta)}`,
+    );
+  };
+  const progressTimer = setInterval(() => doneCount > 0 && reportProgress(), PROGRESS_INTERVAL_MS);
+
+  const executing = new Set();
+  try {
+    for (let i = 0; i < chunks.length; i++) {
+      const tileIndex = i + 1;
+      const p = generateOneTile(
+        chunks[i],
+        tileIndex,
+        previousManifest.tiles[tileIndex],
+        lastExistingTileIndex,
+        cellSize,
+        imageSize,
+        iconMtimes,
+        tileHashes,
+      ).then(({ changed, files }) => {
+        if (changed) changedTiles.push(tileIndex);
+        if (files) manifest.tiles[tileIndex] = files;
+        doneCount++;
+      });
+
+      executing.add(p);
+      const clean = () => executing.delete(p);
+      p.then(clean).catch(clean);
+
+      if (executing.size >= Math.max(workerCount, 1) * 2) {
+        await Promise.race(executing);
+      }
     }
+    await Promise.all(executing);
+  } finally {
+    clearInterval(progressTimer);
   }
+  changedTiles.sort((a, b) => a - b);
+  console.log(`\n✅ ${chunks.length} tiles done in ${formatDuration(Date.now() - startTime)}.`);
 
-  if (CONFIG.EMULATE_MORE_TILES && validEntries.length > 0) {
+  // The page lays the tiles out itself, it's only told how many there are
+  let emulatedTileCount = 0;
+  if (CONFIG.EMULATE_MORE_TILES && shownEntries.length > 0) {
     // Generate emulated tile (the pattern used for all emulated tiles)
     const emulateTileIndex = 'emulated';
-    const firstEntry = validEntries[0];
+    const firstEntry = shownEntries[0];
     const chunk = Array(chunkSize)
       .fill(null)
       .map(() => ({ ...firstEntry }));
-    await generateOneTile(
+    const { files } = await generateOneTile(
       chunk,
       emulateTileIndex,
+      previousManifest.tiles[emulateTileIndex],
       lastExistingTileIndex,
       cellSize,
       imageSize,
       iconMtimes,
+      tileHashes,
     );
+    if (files) manifest.tiles[emulateTileIndex] = files;
 
-    const totalEmulatedTiles = Math.max(
+    emulatedTileCount = Math.max(
       0,
       Math.ceil(CONFIG.EMULATE_MORE_TILES_TOTAL_ICONS / CONFIG.GRID_SIZE ** 2 - chunks.length),
     );
+    console.log(`\n🧩 Emulating ${emulatedTileCount} more tiles...`);
+  }
 
-    console.log(`\n🧩 Creating ${totalEmulatedTiles} emulated tiles...`);
-
-    for (let i = 0; i < totalEmulatedTiles; i++) {
-      const tileIndex = chunks.length + i + 1;
-      const imgTag = `<img src="tile_${emulateTileIndex}.avif" usemap="#map_${tileIndex}" width="${imageSize}" height="${imageSize}" loading="lazy" onload="loadMap(this, ${tileIndex}, '${emulateTileIndex}')">\n`;
-      lazyImagesHtml += imgTag;
+  console.log(`\n🔭 Building zoom levels, ${CONFIG.ZOOM_COLUMNS} tiles wide...`);
+  await generateZoomLevels(
+    manifest,
+    chunks.length,
+    chunks.length + emulatedTileCount,
+    imageSize,
+    Math.max(workerCount, 1) * 2,
+  );
+
+  await compositePool.close();
+  const cacheStats = iconCache.stats();
+  console.log(
+    `🗃️  Icon cache: ${cacheStats.hits} hits, ${cacheStats.misses} icons resized (${cacheStats.size} kept).`,
+  );
+
+  await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+  console.log(`\n✅ Saved Tile Manifest: ${manifestPath}`);
+
+  // Tile files no current manifest entry refers to, including unhashed ones from before
+  const currentFiles = new Set(Object.values(manifest.tiles).flatMap(Object.values));
+  for (const { tiles } of Object.values(manifest.zoom.levels)) {
+    for (const files of Object.values(tiles)) {
+      currentFiles.add(files.image);
+      currentFiles.add(files.retina);
     }
   }
-
-  // Combine content: Eager Images -> Lazy Images (maps are generated by JS)
-  const allImagesHtml = eagerImagesHtml + lazyImagesHtml;
+  let removedCount = 0;
+  for (const file of await fs.readdir(CONFIG.TILES_DIR)) {
+    if (/^tile_.*\.(avif|json)$/.test(file) && !currentFiles.has(file)) {
+      await fs.rm(path.join(CONFIG.TILES_DIR, file), { force: true });
+      removedCount++;
+    }
+  }
+  if (removedCount > 0) console.log(`🧹 Removed ${removedCount} superseded tile files.`);
 
   // 6. Generate Single Index HTML
   const templatePath = path.join(process.cwd(), 'index.ejs');
   const template = await fs.readFile(templatePath, 'utf-8');
+  // The rank list the map reflects, as recorded by the process stage
+  const rankedEntry = shownEntries.find((e) => e.rankSource);
   const finalHtmlContent = ejs.render(template, {
     hostname: CONFIG.HOSTNAME,
+    rankSource: rankedEntry?.rankSource || null,
+    rankDate: rankedEntry?.rankDate || null,
     imageSize,
     gridSize: CONFIG.GRID_SIZE,
     iconSize: CONFIG.ICON_SIZE,
     borderSize: CONFIG.BORDER_SIZE,
-    allImagesHtml,
+    tileCount: chunks.length,
+    emulatedTileCount,
+    eagerLoadTiles: CONFIG.EAGER_LOAD_TILES,
+    highPriorityTiles: CONFIG.HIGH_PRIORITY_TILES,
   });
 
   const indexHtmlPath = path.join(CONFIG.TILES_DIR, 'index.html');
   await fs.writeFile(indexHtmlPath, finalHtmlContent);
   console.log(`\n✅ Saved Combined Index HTML: ${indexHtmlPath}`);
 
-  // Generate Cloudflare _headers file
+  // Generate Cloudflare _headers file. Hashed tiles never change, so they're cached for
+  // good. The manifest is revalidated on every load, it's what picks up a rebuild.
   let headersContent = '/\n';
   for (let i = 1; i <= Math.min(chunks.length, CONFIG.HIGH_PRIORITY_TILES); i++) {
-    headersContent += `  Link: </tile_${i}.avif>; rel=preload; as=image; fetchpriority=high\n`;
+    const files = manifest.tiles[i];
+    if (!files) continue;
+    headersContent += `  Link: </${files.image}>; rel=preload; as=image; imagesrcset="${getTileSrcset(files)}"; fetchpriority=high\n`;
   }
+  headersContent += '/manifest.json\n  Cache-Control: no-cache\n';
+  headersContent += '/tile_*\n  Cache-Control: public, max-age=31536000, immutable\n';
   const headersPath = path.join(CONFIG.TILES_DIR, '_headers');
   await fs.writeFile(headersPath, headersContent);
   console.log(`✅ Saved Cloudflare Headers: ${headersPath}`);
 
   // 7. Update Metadata
   // We need to merge these updates back into the full list.
-  // Since we filtered `entries` to get `validEntries` and modified objects inside `validEntries`,
-  // and `validEntries` holds references to objects in `entries` (if filter creates a shallow copy of the array but references same objects),
-  // then `entries` might be updated?
-  // Array.prototype.filter creates a NEW array with references to the SAME elements.
-  // So modifying `entry.tile` in the loop DOES modify the object in the original `entries` array.
-
-  await fs.writeFile(CONFIG.OUTPUT_FILE, JSON.stringify(entries, null, 2));
+  // Only `validEntries` were kept and got their `tile` set, so the input is streamed
+  // again and each valid entry replaces its original line.
+  await fs.writeFile(CONFIG.TILE_HASHES_FILE, JSON.stringify(tileHashes, null, 2));
+
+  // Every layout records its slots, so a stable layout can take over from a repack
+  const slotsByDomain = {};
+  slots.forEach((entry, slot) => {
+    if (entry) slotsByDomain[getDomain(entry.url)] = slot;
+  });
+  await fs.writeFile(
+    CONFIG.TILE_SLOTS_FILE,
+    JSON.stringify({ gridSize: CONFIG.GRID_SIZE, slots: slotsByDomain }),
+  );
+
+  // What this run changed, e.g. to only upload those tiles
+  const report = {
+    generatedAt: new Date().toISOString(),
+    layout: CONFIG.LAYOUT,
+    repacked: !previousSlots,
+    tiles: chunks.length,
+    changedTiles,
+    slots: { ...slotCounts, empty: slots.filter((entry) => !entry || entry.excludedBy).length },
+  };
+  await fs.writeFile(CONFIG.TILES_REPORT_FILE, JSON.stringify(report, null, 2));
+  const listed = changedTiles.slice(0, 20).map((index) => `#${index}`);
+  if (changedTiles.length > listed.length) listed.push('...');
+  console.log(
+    `\n📋 ${changedTiles.length} of ${chunks.length} tiles changed${listed.length ? `: ${listed.join(', ')}` : ''}. Report saved to ${CONFIG.TILES_REPORT_FILE}`,
+  );
+
+  const tiledEntries = new Map(validEntries.map((e) => [e.url, e]));
+  async function* mergedEntries() {
+    for await (const e of streamEntries(CONFIG.INPUT_FILE)) yield tiledEntries.get(e.url) || e;
+  }
+  await writeEntries(CONFIG.OUTPUT_FILE, mergedEntries());
   console.log(`
 💾 Saved updated metadata to ${CONFIG.OUTPUT_FILE}`);
 }
-
-generateTiles();
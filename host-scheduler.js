@@ -0,0 +1,111 @@
+import { URL } from 'url';
+
+// Idle hosts are dropped once the map grows past this, so a 10M-domain crawl
+// doesn't keep state for every host it ever saw.
+const PRUNE_THRESHOLD = 10000;
+
+/**
+ * Parses a Retry-After header, given either in seconds or as an HTTP date.
+ * @param {string|null} value - The header value.
+ * @param {number} [now=Date.now()] - Current time in ms.
+ * @returns {number|null} The time (ms since epoch) after which to retry, or null if absent/invalid.
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const trimmed = value.trim();
+  if (/^\d+$/.test(trimmed)) return now + parseInt(trimmed, 10) * 1000;
+  const date = Date.parse(trimmed);
+  return isNaN(date) ? null : Math.max(now, date);
+}
+
+/**
+ * Creates a scheduler that limits concurrency and request rate per hostname, so many
+ * sites sharing one CDN host don't get hammered while other hosts sit idle.
+ * @param {Object} options
+ * @param {number} options.maxConcurrentPerHost - Requests in flight per host.
+ * @param {number} options.minIntervalMs - Minimum time between request starts on a host.
+ * @param {number} [options.maxWaitMs=Infinity] - Longest pause worth waiting out. Requests to
+ *   a host paused for longer fail right away with a 'HOST_PAUSED' error carrying `retryAfter`.
+ * @returns {{run: function(string, function(): Promise): Promise, pause: function(string, number): void}}
+ *   `run(url, task)` runs the task once the URL's host has room, `pause(url, until)` holds
+ *   back the URL's host until the given time (e.g., after a Retry-After).
+ */
+export function createHostScheduler({ maxConcurrentPerHost, minIntervalMs, maxWaitMs = Infinity }) {
+  const hosts = new Map();
+
+  const createPausedError = (hostname, pausedUntil) => {
+    const error = new Error(
+      `Host ${hostname} asked to retry after ${new Date(pausedUntil).toISOString()}`,
+    );
+    error.code = 'HOST_PAUSED';
+    error.retryAfter = pausedUntil;
+    return error;
+  };
+
+  const getHost = (url) => {
+    const hostname = new URL(url).hostname.toLowerCase();
+    let host = hosts.get(hostname);
+    if (!host) {
+      if (hosts.size >= PRUNE_THRESHOLD) prune();
+      host = { hostname, active: 0, queue: [], nextStartTime: 0, pausedUntil: 0, timer: null };
+      hosts.set(hostname, host);
+    }
+    return host;
+  };
+
+  const prune = () => {
+    const now = Date.now();
+    for (const [hostname, host] of hosts) {
+      const idle = host.active === 0 && host.queue.length === 0;
+      if (idle && now >= Math.max(host.nextStartTime, host.pausedUntil)) hosts.delete(hostname);
+    }
+  };
+
+  const pump = (host) => {
+    if (host.pausedUntil - Date.now() > maxWaitMs) {
+      for (const { reject } of host.queue.splice(0)) {
+        reject(createPausedError(host.hostname, host.pausedUntil));
+      }
+      return;
+    }
+
+    while (host.active < maxConcurrentPerHost && host.queue.length > 0) {
+      const wait = Math.max(host.nextStartTime, host.pausedUntil) - Date.now();
+      if (wait > 0) {
+        if (!host.timer) {
+          host.timer = setTimeout(() => {
+            host.timer = null;
+            pump(host);
+          }, wait);
+        }
+        return;
+      }
+
+      const { task, resolve, reject } = host.queue.shift();
+      host.active++;
+      host.nextStartTime = Date.now() + minIntervalMs;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          host.active--;
+          pump(host);
+        });
+    }
+  };
+
+  return {
+    run(url, task) {
+      const host = getHost(url);
+      return new Promise((resolve, reject) => {
+        host.queue.push({ task, resolve, reject });
+        pump(host);
+      });
+    },
+
+    pause(url, until) {
+      const host = getHost(url);
+      host.pausedUntil = Math.max(host.pausedUntil, until);
+    },
+  };
+}
@@ -0,0 +1,169 @@
+import { URL } from 'url';
+import { classifyFailure, describeError } from './retry-policy.js';
+import { parseRetryAfter } from './host-scheduler.js';
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const RETRY_AFTER_STATUSES = [429, 503];
+
+// Failures that a different scheme or host variant can plausibly fix: hosts that only
+// answer on one of them time out or drop the connection as often as they refuse it.
+const FALLBACK_CATEGORIES = ['dns', 'connection_refused', 'tls', 'timeout', 'reset'];
+
+/**
+ * Lists the scheme and 'www.' variants of a URL to try when it can't be reached,
+ * in order: other scheme, other host, both.
+ * @param {string} url - The URL that failed.
+ * @returns {string[]} The variants, without the URL itself.
+ */
+export function getFallbackUrls(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return [];
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return [];
+  // IP addresses and single-label hosts have no www. variant
+  const { hostname } = parsed;
+  const hasWwwVariant =
+    hostname.includes('.') && !/^[\d.]+$/.test(hostname) && !hostname.startsWith('[');
+
+  const toggleScheme = (u) => {
+    u.protocol = u.protocol === 'https:' ? 'http:' : 'https:';
+    return u;
+  };
+  const toggleWww = (u) => {
+    u.hostname = u.hostname.startsWith('www.') ? u.hostname.slice(4) : `www.${u.hostname}`;
+    return u;
+  };
+
+  const variants = [toggleScheme(new URL(url)).href];
+  if (hasWwwVariant) {
+    variants.push(toggleWww(new URL(url)).href);
+    variants.push(toggleWww(toggleScheme(new URL(url))).href);
+  }
+  return variants;
+}
+
+async function fetchWithTimeout(url, headers, timeoutMs) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, {
+      method: 'GET',
+      headers,
+      redirect: 'manual',
+      signal: controller.signal,
+    });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Fetches a URL, following redirects manually so the chain can be recorded.
+ * With a scheduler, every hop waits for its host's turn, and a 429/503 with a Retry-After
+ * pauses that host. If the wait is at most maxRetryAfterMs, the request is retried once.
+ * @param {string} url - The URL to fetch.
+ * @param {Object} options
+ * @param {Object} options.headers - Request headers, sent on every hop.
+ * @param {number} options.timeoutMs - Timeout for each hop, up to its headers. Time spent
+ *   waiting for the host's turn doesn't count.
+ * @param {number} options.maxRedirects - Redirects to follow before giving up.
+ * @param {Object} [options.scheduler] - Host scheduler (see createHostScheduler).
+ * @param {number} [options.maxRetryAfterMs=0] - Longest Retry-After worth waiting for.
+ * @returns {Promise<{response: Response, url: string, redirects: Array<{url: string, status: number}>, retryAfter: number|null}>}
+ *   The final response and URL, each redirecting hop, and the final response's Retry-After time.
+ */
+export async function fetchFollowingRedirects(
+  url,
+  { headers, timeoutMs, maxRedirects, scheduler, maxRetryAfterMs = 0 },
+) {
+  const schedule = (hopUrl, task) => (scheduler ? scheduler.run(hopUrl, task) : task());
+  const redirects = [];
+  let currentUrl = url;
+  let retried = false;
+
+  for (;;) {
+    const hopUrl = currentUrl;
+    const response = await schedule(hopUrl, () => fetchWithTimeout(hopUrl, headers, timeoutMs));
+
+    if (RETRY_AFTER_STATUSES.includes(response.status)) {
+      const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+      if (retryAfter && scheduler) {
+        scheduler.pause(hopUrl, retryAfter);
+        if (!retried && retryAfter - Date.now() <= maxRetryAfterMs) {
+          retried = true;
+          await response.body?.cancel().catch(() => {});
+          continue;
+        }
+      }
+      return { response, url: hopUrl, redirects, retryAfter };
+    }
+
+    const location = response.headers.get('location');
+    if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+      return { response, url: hopUrl, redirects, retryAfter: null };
+    }
+
+    await response.body?.cancel().catch(() => {});
+    redirects.push({ url: hopUrl, status: response.status });
+    if (redirects.length > maxRedirects) {
+      throw new Error(`Too many redirects (${redirects.length})`);
+    }
+
+    currentUrl = new URL(location, hopUrl).href;
+    if (redirects.some((hop) => hop.url === currentUrl)) {
+      throw new Error(`Redirect loop at ${currentUrl}`);
+    }
+  }
+}
+
+/**
+ * Fetches a URL like fetchFollowingRedirects, retrying with its scheme and 'www.'
+ * variants when it can't be reached (DNS, refused or reset connection, TLS errors,
+ * timeouts) or answers with an HTTP error.
+ * Throws the error of the original URL if no variant answers either, and returns the
+ * original URL's error response if no variant answers with a success.
+ * @param {string} url - The URL to fetch.
+ * @param {Object} options - Same as fetchFollowingRedirects.
+ * @returns {Promise<{response: Response, url: string, redirects: Array<{url: string, status: number}>, retryAfter: number|null, fallbackUrl: string|null}>}
+ *   As fetchFollowingRedirects, plus the variant that answered, if any.
+ */
+export async function fetchWithFallbacks(url, options) {
+  let primary;
+  try {
+    primary = await fetchFollowingRedirects(url, options);
+  } catch (e) {
+    const category = classifyFailure({ status: 'error', error: describeError(e) });
+    if (!FALLBACK_CATEGORIES.includes(category)) throw e;
+
+    for (const fallbackUrl of getFallbackUrls(url)) {
+      try {
+        return { ...(await fetchFollowingRedirects(fallbackUrl, options)), fallbackUrl };
+      } catch (fallbackError) {
+        // Try the next variant
+      }
+    }
+    throw e;
+  }
+
+  // A host asking to back off isn't asked again on another variant
+  if (primary.response.status < 400 || primary.retryAfter) {
+    return { ...primary, fallbackUrl: null };
+  }
+  for (const fallbackUrl of getFallbackUrls(url)) {
+    let result;
+    try {
+      result = await fetchFollowingRedirects(fallbackUrl, options);
+    } catch (fallbackError) {
+      continue;
+    }
+    if (result.response.ok) {
+      await primary.response.body?.cancel().catch(() => {});
+      return { ...result, fallbackUrl };
+    }
+    await result.response.body?.cancel().catch(() => {});
+  }
+  return { ...primary, fallbackUrl: null };
+}
@@ -1,5 +1,13 @@
-SELECT date, url, rank, REGEXP_EXTRACT(REGEXP_EXTRACT(
+-- Favicon links of the home pages in one HTTP Archive crawl, one row per page and client.
+-- Parameters: @crawl_date (DATE, crawls are dated the 1st of the month), @clients (ARRAY<STRING>
+-- of 'desktop' and/or 'mobile') and @max_rank (INT64).
+-- Run with `favicons fetch-data --query extractor --crawl 2026-09`.
+SELECT date, client, url, rank, REGEXP_EXTRACT(REGEXP_EXTRACT(
     response_body,
     r'(?sm)<head>.*(<link[^>]*?rel=["\'](?:shortcut icon|icon)["\'][^>]*>)+.*?<\/head>'
-  ), r'href=["\']([^"\']+)["\']') as favicon FROM `httparchive.latest.requests`
-WHERE client = "desktop" AND index = 1 AND rank <= 1000000 AND is_main_document = TRUE AND type="html" AND url = root_page
+  ), r'href=["\']([^"\']+)["\']') as favicon,
+  REGEXP_EXTRACT_ALL(REGEXP_EXTRACT(
+    response_body,
+    r'(?si)<head[^>]*>(.*?)<\/head>'
+  ), r'(?i)<link[^>]*?rel=["\']?(?:shortcut icon|icon|apple-touch-icon|apple-touch-icon-precomposed|mask-icon)["\']?[^>]*>') as icons FROM `httparchive.crawl.requests`
+WHERE date = @crawl_date AND client IN UNNEST(@clients) AND index = 1 AND rank <= @max_rank AND is_main_document = TRUE AND type="html" AND url = root_page
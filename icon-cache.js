@@ -0,0 +1,50 @@
+import sharp from 'sharp';
+
+/**
+ * Cache of icons decoded and resized to raw RGBA pixels, so an icon drawn in several
+ * composites (its tile, the OG image, emulated tiles) is only read and resized once.
+ * The least recently used icons are dropped past `maxEntries`.
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries=10000] - Icons kept, all sizes together.
+ * @returns {{get: function(string, number): Promise<{data: Buffer, raw: Object}>, stats: function(): Object}}
+ *   `get(filePath, size)` resolves to the pixels and their `raw` layout, as sharp's
+ *   composite() takes them. `stats()` counts hits and misses.
+ */
+export function createIconCache({ maxEntries = 10000 } = {}) {
+  // Key -> promise of the pixels, in least recently used order
+  const cache = new Map();
+  let hits = 0;
+  let misses = 0;
+
+  return {
+    get(filePath, size) {
+      const key = `${size}:${filePath}`;
+      let pixels = cache.get(key);
+      if (pixels) {
+        hits++;
+        cache.delete(key);
+        cache.set(key, pixels);
+        return pixels;
+      }
+
+      misses++;
+      // Failures are cached too, a broken icon isn't read again for every composite
+      pixels = sharp(filePath)
+        .resize(size, size)
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true })
+        .then(({ data, info }) => ({
+          data,
+          raw: { width: info.width, height: info.height, channels: info.channels },
+        }));
+      cache.set(key, pixels);
+      if (cache.size > maxEntries) cache.delete(cache.keys().next().value);
+      return pixels;
+    },
+
+    stats() {
+      return { hits, misses, size: cache.size };
+    },
+  };
+}
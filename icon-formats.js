@@ -0,0 +1,202 @@
+import sharp from 'sharp';
+
+// librsvg renders SVGs at 72 DPI by default, sharp caps density at 100000.
+const SVG_BASE_DENSITY = 72;
+const SVG_MAX_DENSITY = 100000;
+
+// Anything that can run code or make the renderer fetch another resource.
+const UNSAFE_SVG_PATTERNS = [
+  { pattern: /<script[\s>]/i, reason: 'contains <script>' },
+  { pattern: /<foreignObject[\s>]/i, reason: 'contains <foreignObject>' },
+  { pattern: /<!ENTITY/i, reason: 'declares XML entities' },
+  { pattern: /\son[a-z]+\s*=/i, reason: 'contains event handler attributes' },
+  { pattern: /javascript:/i, reason: 'contains javascript: URLs' },
+  { pattern: /@import/i, reason: 'contains CSS @import' },
+  {
+    pattern: /\s(?:xlink:)?href\s*=\s*["']?\s*(?!#|data:)[^\s"'>]/i,
+    reason: 'references external resources',
+  },
+  { pattern: /url\(\s*["']?\s*(?!#|data:)[^\s"')]/i, reason: 'references external resources' },
+];
+
+// Signatures at the start of the file for the binary formats we may be served
+const MAGIC_BYTES = [
+  { format: 'png', offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { format: 'jpeg', offset: 0, bytes: [0xff, 0xd8, 0xff] },
+  { format: 'gif', offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+  { format: 'webp', offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] }, // RIFF....WEBP
+  { format: 'ico', offset: 0, bytes: [0x00, 0x00, 0x01, 0x00] },
+  { format: 'ico', offset: 0, bytes: [0x00, 0x00, 0x02, 0x00] }, // .cur
+  { format: 'bmp', offset: 0, bytes: [0x42, 0x4d] }, // BM
+  { format: 'heif', offset: 4, bytes: [0x66, 0x74, 0x79, 0x70] }, // ....ftyp (AVIF/HEIC)
+  { format: 'tiff', offset: 0, bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { format: 'tiff', offset: 0, bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+];
+
+// Standard deviation below which every channel is considered flat
+const BLANK_STDEV_THRESHOLD = 2;
+
+// Payloads that were served fine but aren't usable icons get their own status, by error code
+export const ICON_ERROR_STATUSES = {
+  UNSAFE_SVG: 'unsafe_svg',
+  EMPTY_BODY: 'empty',
+  INVALID_HTML: 'invalid_html',
+  BLANK_IMAGE: 'blank_image',
+};
+
+// Statuses of downloads that came back with junk instead of an icon
+export const JUNK_STATUSES = Object.values(ICON_ERROR_STATUSES);
+
+/**
+ * Creates an error for a payload that was served fine but isn't a usable icon.
+ * @param {string} code - Machine-readable reason (e.g., 'BLANK_IMAGE').
+ * @param {string} message - Human-readable description.
+ * @returns {Error} The error, with `code` set.
+ */
+export function createIconError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Identifies a payload's format from its leading bytes, without decoding it.
+ * @param {Buffer} buffer - The downloaded payload.
+ * @returns {string|null} 'png', 'jpeg', 'gif', 'webp', 'ico', 'bmp', 'heif', 'tiff', 'svg',
+ *   'html', or null when unrecognized.
+ */
+export function sniffImageFormat(buffer) {
+  for (const { format, offset, bytes } of MAGIC_BYTES) {
+    if (buffer.length < offset + bytes.length) continue;
+    if (bytes.every((byte, i) => buffer[offset + i] === byte)) return format;
+  }
+
+  if (isSvg(buffer, null)) return 'svg';
+
+  const head = buffer
+    .subarray(0, 1024)
+    .toString('utf-8')
+    .replace(/^\uFEFF/, '');
+  if (
+    /^\s*(?:<!--[\s\S]*?-->\s*)*<(?:!doctype\s+html|html|head|body|meta|title|script)[\s>]/i.test(
+      head,
+    )
+  ) {
+    return 'html';
+  }
+  return null;
+}
+
+/**
+ * Throws a 'BLANK_IMAGE' error if a rendered icon is fully transparent, a single
+ * color, or so flat it would show up as an empty square.
+ * @param {Buffer} pngBuffer - The rendered icon.
+ */
+export async function assertNotBlank(pngBuffer) {
+  // Greyscale or RGB, with alpha as the last channel when present
+  const { channels } = await sharp(pngBuffer).stats();
+  const alpha = channels.length === 2 || channels.length === 4 ? channels.at(-1) : null;
+
+  if (alpha && alpha.max === 0) {
+    throw createIconError('BLANK_IMAGE', 'Blank image: fully transparent');
+  }
+  if (channels.every((channel) => channel.min === channel.max)) {
+    throw createIconError('BLANK_IMAGE', 'Blank image: single color');
+  }
+  if (channels.every((channel) => channel.stdev < BLANK_STDEV_THRESHOLD)) {
+    throw createIconError('BLANK_IMAGE', 'Blank image: no visible content');
+  }
+}
+
+/**
+ * Checks whether a payload is an SVG document, by content type or by sniffing its start.
+ * @param {Buffer} buffer - The downloaded payload.
+ * @param {string|null} contentType - The Content-Type response header.
+ * @returns {boolean} True if the payload should be treated as SVG.
+ */
+export function isSvg(buffer, contentType) {
+  if (contentType && contentType.toLowerCase().includes('image/svg')) return true;
+
+  const head = buffer
+    .subarray(0, 4096)
+    .toString('utf-8')
+    .replace(/^\uFEFF/, '');
+  // Allow an XML declaration, comments and a doctype before the root element
+  return /^\s*(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg[\s>]/i.test(head);
+}
+
+/**
+ * Throws if an SVG contains scripts or references to external resources.
+ * The thrown error has `code` set to 'UNSAFE_SVG'.
+ * @param {Buffer} buffer - The SVG source.
+ */
+export function assertSafeSvg(buffer) {
+  const source = buffer.toString('utf-8');
+  for (const { pattern, reason } of UNSAFE_SVG_PATTERNS) {
+    if (pattern.test(source)) {
+      throw createIconError('UNSAFE_SVG', `Unsafe SVG: ${reason}`);
+    }
+  }
+}
+
+/**
+ * Creates a sharp instance that rasterizes an SVG at the density needed for its
+ * larger edge to come out at `size` pixels, so it never gets upscaled from a tiny render.
+ * @param {Buffer} buffer - The SVG source.
+ * @param {number} size - The target edge in pixels.
+ * @returns {Promise<sharp.Sharp>} The sharp instance.
+ */
+export async function sharpFromSvg(buffer, size) {
+  const { width, height } = await sharp(buffer).metadata();
+  const intrinsicSize = Math.max(width || size, height || size);
+  const density = Math.min(
+    SVG_MAX_DENSITY,
+    Math.max(1, Math.ceil((SVG_BASE_DENSITY * size) / intrinsicSize)),
+  );
+  return sharp(buffer, { density });
+}
+
+/**
+ * Picks the ICO frame to render a given size from. Preference order:
+ * an exact-size frame, then the smallest frame above the target, then the largest
+ * frame below it. Ties go to square frames, then higher bit depth, then PNG-embedded frames.
+ * @param {Array<{width: number, height: number, bpp: number, type: string}>} frames - Decoded
+ *   frames, as returned by sharpsFromIco with resolveWithObject.
+ * @param {number} targetSize - The edge the frame will be rendered at.
+ * @returns {Object} The chosen frame.
+ */
+export function selectIcoFrame(frames, targetSize) {
+  const score = (frame) => {
+    const edge = Math.max(frame.width, frame.height);
+    let tier;
+    let distance;
+    if (edge === targetSize) {
+      tier = 0;
+      distance = 0;
+    } else if (edge > targetSize) {
+      tier = 1;
+      distance = edge - targetSize;
+    } else {
+      tier = 2;
+      distance = targetSize - edge;
+    }
+    // PNG frames are always full color, some encoders leave bpp at 0 for them
+    const bpp = frame.type === 'png' ? Math.max(frame.bpp || 0, 32) : frame.bpp || 0;
+    return [
+      tier,
+      distance,
+      frame.width === frame.height ? 0 : 1,
+      -bpp,
+      frame.type === 'png' ? 0 : 1,
+    ];
+  };
+
+  return frames
+    .map((frame) => ({ frame, key: score(frame) }))
+    .reduce((best, current) => {
+      for (let i = 0; i < current.key.length; i++) {
+        if (current.key[i] !== best.key[i]) return current.key[i] < best.key[i] ? current : best;
+      }
+      return best;
+    }).frame;
+}
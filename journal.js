@@ -0,0 +1,69 @@
+import fs from 'fs/promises';
+import { openSync, writeSync, closeSync, fsyncSync, ftruncateSync } from 'fs';
+
+/**
+ * Reads an append-only NDJSON journal. A torn last line (from a crash mid-write) is skipped.
+ * @param {string} filePath - The journal file.
+ * @returns {Promise<Array<Object>>} The records in write order, empty if there's no journal.
+ */
+export async function readJournal(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf-8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+
+  const records = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (e) {
+      console.warn(`⚠️ Skipping unreadable journal line in ${filePath}`);
+    }
+  }
+  return records;
+}
+
+/**
+ * Opens a journal for appending. Writes are synchronous, so every record that was
+ * appended survives a crash of the process right after.
+ * @param {string} filePath - The journal file, created if missing.
+ * @returns {{append: function(Object): void, reset: function(Array<Object>=): void, close: function(): void}}
+ */
+export function openJournal(filePath) {
+  const fd = openSync(filePath, 'a');
+  let closed = false;
+
+  return {
+    append(record) {
+      if (closed) return;
+      writeSync(fd, `${JSON.stringify(record)}\n`);
+    },
+
+    // Empties the journal once its records are checkpointed, keeping only `records`
+    reset(records = []) {
+      if (closed) return;
+      ftruncateSync(fd, 0);
+      for (const record of records) writeSync(fd, `${JSON.stringify(record)}\n`);
+      fsyncSync(fd);
+    },
+
+    close() {
+      if (closed) return;
+      closed = true;
+      fsyncSync(fd);
+      closeSync(fd);
+    },
+  };
+}
+
+/**
+ * Deletes a journal once everything in it has been checkpointed.
+ * @param {string} filePath - The journal file.
+ */
+export async function removeJournal(filePath) {
+  await fs.rm(filePath, { force: true });
+}
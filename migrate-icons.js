@@ -2,9 +2,11 @@ import fs from 'fs/promises';
 import path from 'path';
 import { getRelativePathFromFilename } from './utils.js';
 
-const ICONS_DIR = 'icons';
-
-async function migrateIcons() {
+/**
+ * Moves icons from the old flat layout of ICONS_DIR into hashed subdirectories.
+ * @param {Object} config - The `migrate` stage config.
+ */
+export async function migrateIcons({ ICONS_DIR }) {
   console.log('🚀 Starting icon migration...');
 
   try {
@@ -48,8 +50,6 @@ async function migrateIcons() {
     }
   } catch (err) {
     console.error(`❌ Fatal error: ${err.message}`);
-    process.exit(1);
+    throw err;
   }
 }
-
-migrateIcons();
@@ -1,46 +1,150 @@
 import fs from 'fs/promises';
-import { createReadStream } from 'fs';
-import { createInterface } from 'readline';
-import path from 'path';
 import { URL } from 'url';
-import { getDomain } from './utils.js';
+import { getDomain, normalizeHost, streamEntries, writeEntries } from './utils.js';
+import { parseIconLinks, rankIconCandidates } from './favicon-discovery.js';
+import { resolveRankLists, describeRankSource, getRankDate, readRanks } from './rank-lists.js';
+import { loadExclusions } from './exclusions.js';
 
 // --- Configuration ---
-const inputFile = path.join(process.cwd(), 'favicons.json');
-const outputFile = path.join(process.cwd(), 'favicons-processed.json');
-const rankedListFile = path.join(process.cwd(), 'domain-lists', 'top10milliondomains.csv');
-const MAX_ENTRIES = 1000000;
+// Set from the `process` section of favicons.config.js when the stage runs
+let CONFIG;
+let exclusions;
+// Rule id -> domains it excluded, reported on the stats page
+let excludedDomains;
 
-const EXCLUDE_PATTERNS = [
-  /\.weebly\.com$/, // Matches *.weebly.com
-];
-// ---------------------
+// Order crawl clients are merged in, the first one's page leads when none is the domain's own
+const CLIENT_ORDER = ['desktop', 'mobile'];
 
 /**
- * Checks if a domain matches any of the exclusion patterns.
- * @param {string} domain - The domain to check.
- * @returns {boolean} True if the domain should be excluded.
+ * Checks if a URL's site matches any of the exclusion rules, and counts it for the rule.
+ * @param {string} url - The URL to check.
+ * @returns {boolean} True if the site should be excluded.
  */
-function isExcluded(domain) {
-  return EXCLUDE_PATTERNS.some((pattern) => pattern.test(domain));
+function isExcluded(url) {
+  const rule = exclusions.match(url);
+  if (!rule) return false;
+  if (!excludedDomains.has(rule.id)) excludedDomains.set(rule.id, new Set());
+  excludedDomains.get(rule.id).add(getDomain(url));
+  return true;
 }
 
 /**
- * Reads the favicons.json file, converts relative favicon paths to absolute URLs,
- * deduplicates by domain, checks against a ranked domain list, assigns rank,
+ * Saves how many domains each exclusion rule dropped during processing.
+ * @param {string} filePath - The report file.
+ */
+async function saveExclusionReport(filePath) {
+  const excluded = {};
+  for (const [id, domains] of excludedDomains) excluded[id] = domains.size;
+  const report = { generatedAt: new Date().toISOString(), excluded };
+  await fs.writeFile(filePath, JSON.stringify(report, null, 2));
+
+  const total = Object.values(excluded).reduce((sum, count) => sum + count, 0);
+  console.log(`🚫 Excluded ${total} domains, report saved to ${filePath}`);
+}
+
+/**
+ * Resolves the icon links recorded for a page into ranked candidates.
+ * Accepts raw <link> tags (as extracted by the SQL query) or objects with
+ * `href`/`url`, `rel`, `sizes` and `type`.
+ * @param {Array<string|Object>} icons - The recorded icon links.
+ * @param {string} pageUrl - The page URL to resolve relative links against.
+ * @returns {Array<{url: string, rel: string, sizes: string|null, type: string|null}>}
+ */
+function resolveIconCandidates(icons, pageUrl) {
+  if (!Array.isArray(icons)) return [];
+
+  const rawTags = icons.filter((icon) => typeof icon === 'string').join('\n');
+  const candidates = parseIconLinks(rawTags, pageUrl).icons;
+
+  for (const icon of icons) {
+    const href = icon && (icon.href || icon.url);
+    if (typeof icon !== 'object' || !href) continue;
+    try {
+      candidates.push({
+        url: new URL(href, pageUrl).href,
+        rel: (icon.rel || 'icon').toLowerCase(),
+        sizes: icon.sizes || null,
+        type: icon.type || null,
+      });
+    } catch (e) {
+      continue;
+    }
+  }
+
+  const seen = new Set();
+  return rankIconCandidates(candidates, CONFIG.TARGET_ICON_SIZE)
+    .filter((candidate) => {
+      if (seen.has(candidate.url)) return false;
+      seen.add(candidate.url);
+      return true;
+    })
+    .map(({ url, rel, sizes, type }) => ({ url, rel, sizes, type }));
+}
+
+// Whether a URL is the domain's own site rather than a subdomain that collapsed into it
+function isDomainSite(url, domain) {
+  return normalizeHost(new URL(url).hostname) === domain;
+}
+
+/**
+ * Merges the entries several crawl clients (desktop, mobile) recorded for one domain.
+ * Their icon candidates are ranked together, each tagged with the clients that link it,
+ * so the downloader falls back on the other client's icons when the best one fails.
+ * Each client's own first choice is kept in `clientFavicons` (null without an icon link or
+ * a `favicon` column), and `clientsDiffer` tells whether they disagree.
+ * @param {string} domain - The domain.
+ * @param {Map<string, Object>} byClient - Processed entries by client.
+ * @returns {Object} The merged entry.
+ */
+function mergeClientEntries(domain, byClient) {
+  const order = (client) => {
+    const index = CLIENT_ORDER.indexOf(client);
+    return index === -1 ? CLIENT_ORDER.length : index;
+  };
+  const clients = [...byClient.keys()].sort((a, b) => order(a) - order(b));
+  const entries = clients.map((client) => byClient.get(client));
+
+  const candidates = new Map();
+  const clientFavicons = {};
+  for (const [index, entry] of entries.entries()) {
+    const client = clients[index];
+    clientFavicons[client] = entry.faviconCandidates[0]?.url ?? null;
+    for (const candidate of entry.faviconCandidates) {
+      const known = candidates.get(candidate.url);
+      if (known) known.clients.push(client);
+      else candidates.set(candidate.url, { ...candidate, clients: [client] });
+    }
+  }
+  const faviconCandidates = rankIconCandidates([...candidates.values()], CONFIG.TARGET_ICON_SIZE);
+
+  const { client, ...lead } =
+    entries.find((entry) => isDomainSite(entry.url, domain)) || entries[0];
+  return {
+    ...lead,
+    favicon: faviconCandidates[0]?.url ?? lead.favicon,
+    faviconCandidates,
+    clients,
+    clientFavicons,
+    clientsDiffer: new Set(Object.values(clientFavicons)).size > 1,
+  };
+}
+
+/**
+ * Reads the favicons.ndjson file, converts relative favicon paths to absolute URLs,
+ * deduplicates by domain, checks against the selected rank lists, assigns rank,
  * and saves the result to a new file.
+ * @param {Object} config - The `process` stage config.
  */
-async function processAndDeduplicateFavicons() {
-  console.log(`🚀 Reading and processing data from ${inputFile}...`);
+export async function processFavicons(config) {
+  CONFIG = config;
+  console.log(`🚀 Reading and processing data from ${CONFIG.INPUT_FILE}...`);
 
   try {
-    // 1. Read and parse the input JSON file.
-    const rawData = await fs.readFile(inputFile, 'utf-8');
-    const entries = JSON.parse(rawData);
-    console.log(`📊 Found ${entries.length} entries to process.`);
+    exclusions = await loadExclusions(CONFIG.EXCLUSIONS_FILE);
+    excludedDomains = new Map();
 
-    // 2. Process each entry to resolve the favicon URL.
-    const processedEntries = entries.map((entry) => {
+    // 1. Stream the input file, 2. process each entry to resolve the favicon URL.
+    const processEntry = (entry) => {
       // Defensive check for required url field.
       if (!entry.url) {
         return {
@@ -66,22 +170,34 @@ async function processAndDeduplicateFavicons() {
         };
       }
 
+      // The ranked candidates let the downloader move on when the best one fails.
+      const { icons, ...rest } = entry;
+      const faviconCandidates = resolveIconCandidates(icons, entry.url);
+      // When no icon link resolves, the crawl's own favicon column is the candidate, so
+      // merged clients can still fall back on it. With neither, no candidate is recorded.
+      if (faviconCandidates.length === 0 && entry.favicon) {
+        faviconCandidates.push({ url: absoluteFaviconUrl, rel: 'icon', sizes: null, type: null });
+      }
+
       // 3. Return a new object with the updated fields.
       return {
-        ...entry,
+        ...rest,
         date: entry.date?.value || entry.date, // Flatten the date object for simplicity.
-        favicon: absoluteFaviconUrl, // Overwrite with the absolute URL.
+        favicon: faviconCandidates.length > 0 ? faviconCandidates[0].url : absoluteFaviconUrl,
+        faviconCandidates,
       };
-    });
+    };
 
-    console.log('✅ URL processing complete.');
+    // 4. Deduplicate entries by domain as they stream in, keeping the first one found
+    // for each crawl client. When hosts collapse to their registrable domain, the domain's
+    // own site is preferred over a subdomain found before it.
+    const clientEntries = new Map(); // domain -> client -> entry
+    let entryCount = 0;
 
-    // 4. Deduplicate entries by domain, keeping the first one found.
-    console.log('🚀 Deduplicating entries by domain...');
-    const seenDomains = new Set();
-    const uniqueEntriesMap = new Map();
+    for await (const rawEntry of streamEntries(CONFIG.INPUT_FILE)) {
+      entryCount++;
+      const entry = processEntry(rawEntry);
 
-    for (const entry of processedEntries) {
       // We can only deduplicate if we have a valid, error-free URL.
       if (entry.error || !entry.url) {
         continue; // Skip entries with errors or no URL for the ranked list matching.
@@ -90,50 +206,69 @@ async function processAndDeduplicateFavicons() {
       // The URL was valid for processing, so it should be valid here.
       const domain = getDomain(entry.url);
 
-      if (isExcluded(domain)) {
+      if (isExcluded(entry.url)) {
         continue;
       }
 
-      if (!seenDomains.has(domain)) {
-        seenDomains.add(domain);
-        uniqueEntriesMap.set(domain, entry);
+      // Data without a client column (older tables, local archives) is one crawl
+      const client = entry.client ?? null;
+      let byClient = clientEntries.get(domain);
+      if (!byClient) {
+        byClient = new Map();
+        clientEntries.set(domain, byClient);
+      }
+      const existing = byClient.get(client);
+      if (!existing || (!isDomainSite(existing.url, domain) && isDomainSite(entry.url, domain))) {
+        byClient.set(client, entry);
+      }
+    }
+
+    // Then merge the clients' entries of each domain
+    const uniqueEntriesMap = new Map();
+    let mergedCount = 0;
+    let differCount = 0;
+    for (const [domain, byClient] of clientEntries) {
+      if (byClient.size === 1) {
+        uniqueEntriesMap.set(domain, byClient.values().next().value);
+        continue;
       }
+      const merged = mergeClientEntries(domain, byClient);
+      uniqueEntriesMap.set(domain, merged);
+      mergedCount++;
+      if (merged.clientsDiffer) differCount++;
     }
+    clientEntries.clear();
 
+    console.log(`📊 Processed ${entryCount} entries.`);
+    if (mergedCount > 0) {
+      console.log(
+        `📱 Merged the crawl clients of ${mergedCount} domains, ${differCount} with different favicons.`,
+      );
+    }
     console.log(`✅ Deduplication complete. Found ${uniqueEntriesMap.size} unique domains.`);
 
-    // 5. Stream the ranked list and filter/update entries.
-    console.log(`🚀 Mapping ranks from ${rankedListFile}...`);
+    // 5. Stream the ranked domains and filter/update entries.
+    const rankLists = resolveRankLists(CONFIG);
+    const rankSource = describeRankSource(rankLists, CONFIG.RANK_MERGE);
+    const rankDate = await getRankDate(rankLists);
+    console.log(`🚀 Mapping ranks from ${rankSource} (${rankDate})...`);
 
     const finalEntries = [];
-    const fileStream = createReadStream(rankedListFile);
-    const rl = createInterface({
-      input: fileStream,
-      crlfDelay: Infinity,
+    const ranks = readRanks(rankLists, {
+      merge: CONFIG.RANK_MERGE,
+      depth: CONFIG.RANK_MERGE_DEPTH,
+      // Matched on the host as listed, before it's normalized, as entries are on their URL
+      exclude: (host) => isExcluded(`https://${host}`),
     });
-
-    let processedLines = 0;
-    for await (const line of rl) {
-      if (finalEntries.length >= MAX_ENTRIES) {
-        console.log(`⚠️  Reached limit of ${MAX_ENTRIES} entries. Stopping.`);
+    for await (const { domain, rank } of ranks) {
+      if (finalEntries.length >= CONFIG.MAX_ENTRIES) {
+        console.log(`⚠️  Reached limit of ${CONFIG.MAX_ENTRIES} entries. Stopping.`);
         break;
       }
 
-      processedLines++;
-      // Parse line: "1","facebook.com","10.00"
-      const parts = line.split(',');
-      if (parts.length < 2) continue;
-
-      // Strip quotes
-      const rankStr = parts[0].replace(/"/g, '');
-      const domain = parts[1].replace(/"/g, '').replace(/^www\./, '');
-
-      if (domain === 'Domain') continue; // Skip header
-      if (isExcluded(domain)) continue; // Skip excluded domains
-
       if (uniqueEntriesMap.has(domain)) {
         const entry = uniqueEntriesMap.get(domain);
-        entry.rank = parseInt(rankStr, 10);
+        Object.assign(entry, { rank, rankSource, rankDate });
         finalEntries.push(entry);
         uniqueEntriesMap.delete(domain); // Remove to avoid re-checking or just to track what's left
       } else {
@@ -141,7 +276,9 @@ async function processAndDeduplicateFavicons() {
         finalEntries.push({
           url: `https://${domain}`,
           favicon: `https://${domain}/favicon.ico`,
-          rank: parseInt(rankStr, 10),
+          rank,
+          rankSource,
+          rankDate,
           date: new Date().toISOString(),
         });
       }
@@ -153,17 +290,16 @@ async function processAndDeduplicateFavicons() {
     finalEntries.sort((a, b) => a.rank - b.rank);
 
     // 7. Save the processed and deduplicated data to a new file.
-    await fs.writeFile(outputFile, JSON.stringify(finalEntries, null, 2));
-    console.log(`💾 Processed data successfully saved to ${outputFile}`);
+    await writeEntries(CONFIG.OUTPUT_FILE, finalEntries);
+    console.log(`💾 Processed data successfully saved to ${CONFIG.OUTPUT_FILE}`);
+    await saveExclusionReport(CONFIG.EXCLUSIONS_REPORT_FILE);
   } catch (error) {
     console.error('❌ An error occurred during processing:', error.message);
     if (error.code === 'ENOENT') {
       console.error(
-        `\nHint: Make sure the input files exist. You may need to run 'npm start' first.`,
+        `\nHint: Make sure the input files exist. You may need to run 'favicons fetch-data' first.`,
       );
     }
-    process.exit(1);
+    throw error;
   }
 }
-
-processAndDeduplicateFavicons();
@@ -0,0 +1,211 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import { createInterface } from 'readline';
+import { URL } from 'url';
+import { normalizeHostname } from './utils.js';
+
+/**
+ * Column layouts of the supported domain ranking lists. Header rows are recognized by
+ * their non-numeric rank and skipped, so formats don't need to say whether they have one.
+ */
+export const RANK_LIST_FORMATS = {
+  // "Rank","Domain","Open Page Rank"
+  domcop: { label: 'DomCop', rankColumn: 0, domainColumn: 1 },
+  // 1,google.com
+  tranco: { label: 'Tranco', rankColumn: 0, domainColumn: 1 },
+  // GlobalRank,TldRank,Domain,TLD,RefSubNets,RefIPs,...
+  majestic: { label: 'Majestic Million', rankColumn: 0, domainColumn: 2 },
+  // 1,google.com (hostnames rather than sites, e.g. api.example.com)
+  umbrella: { label: 'Cisco Umbrella', rankColumn: 0, domainColumn: 1 },
+  // origin,rank with the rank being a bucket (1000, 10000, ...) shared by every origin in it
+  crux: { label: 'CrUX', rankColumn: 1, domainColumn: 0, origins: true },
+};
+
+export const RANK_MERGE_METHODS = ['median', 'mean', 'best'];
+
+/**
+ * Splits a CSV line into fields, handling double-quoted fields with "" escapes.
+ * @param {string} line - The line.
+ * @returns {string[]} The fields.
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+// The host a list names, as listed: lists of origins give a URL, the others a bare host
+function getListHost(value, origins) {
+  try {
+    return new URL(origins ? value.trim() : `https://${value.trim()}`).hostname;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Picks the rank lists selected by the `process` config.
+ * @param {Object} config - The `process` stage config.
+ * @returns {Array<{name: string, format: string, file: string, date?: string}>} The lists.
+ */
+export function resolveRankLists({ RANK_LISTS, RANK_SOURCES, RANK_MERGE }) {
+  const names = Array.isArray(RANK_SOURCES) ? RANK_SOURCES : [RANK_SOURCES];
+  if (names.length === 0) throw new Error('No rank source selected');
+  if (names.length > 1 && !RANK_MERGE_METHODS.includes(RANK_MERGE)) {
+    throw new Error(`Unknown rank merge "${RANK_MERGE}", expected one of ${RANK_MERGE_METHODS}`);
+  }
+
+  return names.map((name) => {
+    const list = RANK_LISTS[name];
+    if (!list) throw new Error(`Unknown rank list "${name}"`);
+    if (!RANK_LIST_FORMATS[list.format]) {
+      throw new Error(`Unknown format "${list.format}" for rank list "${name}"`);
+    }
+    return { name, ...list };
+  });
+}
+
+/**
+ * Describes where ranks come from, for entries and the pages built from them.
+ * @param {Array<Object>} lists - Lists as returned by resolveRankLists.
+ * @param {string} merge - How several lists are merged.
+ * @returns {string} E.g. "Tranco" or "median of Tranco, Majestic Million".
+ */
+export function describeRankSource(lists, merge) {
+  const labels = lists.map((list) => RANK_LIST_FORMATS[list.format].label);
+  return lists.length === 1 ? labels[0] : `${merge} of ${labels.join(', ')}`;
+}
+
+/**
+ * Date the ranks reflect: the list's configured `date`, or else the day its file was
+ * last written. For merged lists, the most recent one.
+ * @param {Array<Object>} lists - Lists as returned by resolveRankLists.
+ * @returns {Promise<string>} The date, as YYYY-MM-DD.
+ */
+export async function getRankDate(lists) {
+  const dates = await Promise.all(
+    lists.map(async (list) => {
+      if (list.date) return list.date;
+      const stats = await fs.stat(list.file);
+      return stats.mtime.toISOString().slice(0, 10);
+    }),
+  );
+  return dates.sort().at(-1);
+}
+
+/**
+ * Streams a rank list in file order. Domains are normalized like the entries' domains
+ * (see normalizeHostname), and only their first (best) occurrence is kept.
+ * @param {Object} list - A list as returned by resolveRankLists.
+ * @param {Object} [options]
+ * @param {number} [options.depth=Infinity] - Stop after this many domains.
+ * @param {function(string): boolean} [options.exclude] - Tells whether to skip a host, as
+ *   listed. Skipped hosts don't take the rank of the domain they normalize to.
+ * @yields {{domain: string, rank: number}}
+ */
+export async function* readRankList(list, { depth = Infinity, exclude } = {}) {
+  const { rankColumn, domainColumn, origins } = RANK_LIST_FORMATS[list.format];
+  const fileStream = createReadStream(list.file);
+  const rl = createInterface({ input: fileStream, crlfDelay: Infinity });
+  const seen = new Set();
+
+  try {
+    for await (const line of rl) {
+      if (seen.size >= depth) break;
+      const fields = parseCsvLine(line);
+      const rank = parseInt(fields[rankColumn], 10);
+      if (isNaN(rank) || fields[domainColumn] === undefined) continue; // Header or junk
+
+      const host = getListHost(fields[domainColumn], origins);
+      if (!host || exclude?.(host)) continue;
+      const domain = normalizeHostname(host);
+      if (!domain || seen.has(domain)) continue;
+      seen.add(domain);
+      yield { domain, rank };
+    }
+  } finally {
+    rl.close();
+    fileStream.destroy();
+  }
+}
+
+function mergeRanks(ranks, merge) {
+  if (merge === 'best') return Math.min(...ranks);
+  if (merge === 'mean') return ranks.reduce((sum, rank) => sum + rank, 0) / ranks.length;
+  const sorted = [...ranks].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Streams domains in rank order from one list, or from several merged into one ranking.
+ * Merging reads the top `depth` domains of every list. A domain missing from a list
+ * counts as ranked just past that list's last domain read, and the merged ranks are
+ * renumbered from 1.
+ * @param {Array<Object>} lists - Lists as returned by resolveRankLists.
+ * @param {Object} [options]
+ * @param {string} [options.merge='median'] - One of RANK_MERGE_METHODS.
+ * @param {number} [options.depth=Infinity] - Domains read from each list when merging.
+ * @param {function(string): boolean} [options.exclude] - Hosts to skip (see readRankList).
+ * @yields {{domain: string, rank: number}}
+ */
+export async function* readRanks(lists, { merge = 'median', depth = Infinity, exclude } = {}) {
+  if (lists.length === 1) {
+    yield* readRankList(lists[0], { exclude });
+    return;
+  }
+
+  // domain -> rank in each list, undefined where the list doesn't have it
+  const ranksByDomain = new Map();
+  const missingRanks = [];
+  for (const [index, list] of lists.entries()) {
+    let count = 0;
+    let lastRank = 0;
+    for await (const { domain, rank } of readRankList(list, { depth, exclude })) {
+      let ranks = ranksByDomain.get(domain);
+      if (!ranks) {
+        ranks = new Array(lists.length);
+        ranksByDomain.set(domain, ranks);
+      }
+      ranks[index] = rank;
+      count++;
+      lastRank = rank;
+    }
+    missingRanks.push(Math.max(count, lastRank) + 1);
+    console.log(`📋 Read ${count} domains from ${list.file}.`);
+  }
+
+  const merged = [];
+  for (const [domain, ranks] of ranksByDomain) {
+    const filled = missingRanks.map((missing, index) => ranks[index] ?? missing);
+    merged.push({ domain, score: mergeRanks(filled, merge), best: Math.min(...filled) });
+  }
+  ranksByDomain.clear();
+  merged.sort((a, b) => a.score - b.score || a.best - b.best);
+
+  for (const [index, { domain }] of merged.entries()) {
+    yield { domain, rank: index + 1 };
+  }
+}
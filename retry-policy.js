@@ -0,0 +1,96 @@
+import { JUNK_STATUSES } from './icon-formats.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Backoff per failure class. The delay after the n-th consecutive failure of a class is
+ * baseDelayMs * 2^(n - 1), capped at maxDelayMs. After maxAttempts consecutive failures
+ * the entry is considered dead and no longer retried.
+ * Permanent-looking failures (DNS, 4xx, undecodable payloads) give up quickly,
+ * transient ones (timeouts, 5xx) keep coming back after a cooldown.
+ */
+export const RETRY_POLICIES = {
+  dns: { baseDelayMs: 7 * DAY_MS, maxDelayMs: 90 * DAY_MS, maxAttempts: 3 },
+  tls: { baseDelayMs: 7 * DAY_MS, maxDelayMs: 90 * DAY_MS, maxAttempts: 4 },
+  timeout: { baseDelayMs: 1 * DAY_MS, maxDelayMs: 30 * DAY_MS, maxAttempts: 8 },
+  connection_refused: { baseDelayMs: 3 * DAY_MS, maxDelayMs: 60 * DAY_MS, maxAttempts: 5 },
+  reset: { baseDelayMs: 1 * DAY_MS, maxDelayMs: 30 * DAY_MS, maxAttempts: 8 },
+  http_4xx: { baseDelayMs: 14 * DAY_MS, maxDelayMs: 90 * DAY_MS, maxAttempts: 3 },
+  http_5xx: { baseDelayMs: 1 * DAY_MS, maxDelayMs: 30 * DAY_MS, maxAttempts: 8 },
+  rate_limited: { baseDelayMs: 1 * DAY_MS, maxDelayMs: 30 * DAY_MS, maxAttempts: 8 },
+  decode: { baseDelayMs: 14 * DAY_MS, maxDelayMs: 90 * DAY_MS, maxAttempts: 3 },
+  other: { baseDelayMs: 1 * DAY_MS, maxDelayMs: 30 * DAY_MS, maxAttempts: 5 },
+  // Site owners may lift the ban, keep checking now and then
+  robots: { baseDelayMs: 30 * DAY_MS, maxDelayMs: 90 * DAY_MS, maxAttempts: Infinity },
+};
+
+const ERROR_PATTERNS = [
+  { category: 'dns', pattern: /ENOTFOUND|EAI_AGAIN|EAI_NONAME|EAI_FAIL|getaddrinfo/i },
+  { category: 'connection_refused', pattern: /ECONNREFUSED/i },
+  {
+    category: 'reset',
+    pattern: /ECONNRESET|EPIPE|socket hang up|UND_ERR_SOCKET|other side closed/i,
+  },
+  {
+    category: 'timeout',
+    pattern: /AbortError|aborted|ETIMEDOUT|UND_ERR_(?:CONNECT|HEADERS|BODY)_TIMEOUT|timed? ?out/i,
+  },
+  { category: 'tls', pattern: /CERT|SSL|TLS|EPROTO|self[- ]signed|certificate/i },
+  {
+    category: 'decode',
+    pattern:
+      /Input buffer|Input file|unsupported image format|corrupt|bad seek|VipsJpeg|pngload|gifload|webpload|heifload|svgload|XML parse/i,
+  },
+];
+
+/**
+ * Classifies a failed download attempt.
+ * @param {Object} failure
+ * @param {string} failure.status - The entry status (e.g., 'failed', 'error', 'blank_image').
+ * @param {number} [failure.httpStatus] - The HTTP status, if a response was received.
+ * @param {string} [failure.error] - The error message (including the cause's code, if any).
+ * @returns {'dns'|'tls'|'timeout'|'connection_refused'|'reset'|'http_4xx'|'http_5xx'|'rate_limited'|'decode'|'robots'|'other'}
+ */
+export function classifyFailure({ status, httpStatus, error }) {
+  if (JUNK_STATUSES.includes(status)) return 'decode';
+  if (status === 'robots_disallowed') return 'robots';
+  if (/^Host \S+ asked to retry after/.test(error || '')) return 'rate_limited';
+  if (status === 'failed' && httpStatus === 429) return 'rate_limited';
+  if (status === 'failed' && httpStatus >= 500) return 'http_5xx';
+  if (status === 'failed' && httpStatus >= 400) return 'http_4xx';
+
+  for (const { category, pattern } of ERROR_PATTERNS) {
+    if (error && pattern.test(error)) return category;
+  }
+  return 'other';
+}
+
+/**
+ * Describes a thrown fetch/decode error, including the underlying cause that
+ * Node's fetch hides behind a generic "fetch failed".
+ * @param {Error} error - The thrown error.
+ * @returns {string} The description (e.g., "fetch failed (ENOTFOUND)").
+ */
+export function describeError(error) {
+  if (error.name === 'AbortError') return 'Request timed out (AbortError)';
+  const cause = error.cause;
+  if (!cause) return error.message;
+  return `${error.message} (${cause.code || cause.message})`;
+}
+
+/**
+ * Computes when an entry may be retried after a failure.
+ * @param {string} category - The failure class.
+ * @param {number} failureCount - Consecutive failures of this class, including this one.
+ * @param {number} [now=Date.now()] - Current time in ms.
+ * @returns {{nextEligibleTime: string|null, dead: boolean}} When to retry (ISO), or dead if
+ *   the class's attempts are exhausted.
+ */
+export function scheduleRetry(category, failureCount, now = Date.now()) {
+  const policy = RETRY_POLICIES[category] || RETRY_POLICIES.other;
+  if (failureCount >= policy.maxAttempts) {
+    return { nextEligibleTime: null, dead: true };
+  }
+  const delay = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (failureCount - 1));
+  return { nextEligibleTime: new Date(now + delay).toISOString(), dead: false };
+}
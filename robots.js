@@ -0,0 +1,142 @@
+import { URL } from 'url';
+import { fetchFollowingRedirects } from './http-fetch.js';
+
+const MAX_ROBOTS_BYTES = 500 * 1024; // Parsers may ignore anything past 500 KiB (RFC 9309)
+const CACHE_SIZE = 10000;
+
+/**
+ * Extracts the product token robots.txt groups are matched against from a user agent,
+ * e.g. "FaviconDownloader" from "Mozilla/5.0 (compatible; FaviconDownloader/1.0)".
+ * @param {string} userAgent - The full user agent.
+ * @returns {string} The product token.
+ */
+export function getRobotsToken(userAgent) {
+  const compatible = userAgent.match(/compatible;\s*([^/;)\s]+)/i);
+  if (compatible) return compatible[1];
+  return userAgent.split(/[/\s]/)[0];
+}
+
+/**
+ * Parses a robots.txt file into its user-agent groups.
+ * @param {string} text - The robots.txt content.
+ * @returns {Array<{agents: string[], rules: Array<{allow: boolean, path: string}>}>} The groups,
+ *   with lowercase agent tokens.
+ */
+export function parseRobotsTxt(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n|\r/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!match) continue;
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share the rules that follow them
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+    } else if ((field === 'allow' || field === 'disallow') && current) {
+      // An empty Disallow allows everything, same as no rule
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+      lastWasAgent = false;
+    } else {
+      lastWasAgent = false;
+    }
+  }
+  return groups;
+}
+
+function ruleMatches(rulePath, urlPath) {
+  // '*' matches any sequence, a trailing '$' anchors the end
+  const anchored = rulePath.endsWith('$');
+  const pattern = (anchored ? rulePath.slice(0, -1) : rulePath)
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${pattern}${anchored ? '$' : ''}`).test(urlPath);
+}
+
+/**
+ * Checks whether robots.txt rules allow fetching a path. The group naming the token wins
+ * over '*', and within it the longest matching rule wins, Allow on ties (RFC 9309).
+ * @param {Array<Object>} groups - Groups as returned by parseRobotsTxt.
+ * @param {string} token - The crawler's product token.
+ * @param {string} urlPath - The path and query to check (e.g., "/favicon.ico").
+ * @returns {boolean} True if fetching is allowed.
+ */
+export function isAllowedByRobots(groups, token, urlPath) {
+  const lowerToken = token.toLowerCase();
+  const named = groups.filter((g) => g.agents.includes(lowerToken));
+  const matched = named.length > 0 ? named : groups.filter((g) => g.agents.includes('*'));
+  const rules = matched.flatMap((g) => g.rules);
+
+  let best = null;
+  for (const rule of rules) {
+    if (!ruleMatches(rule.path, urlPath)) continue;
+    if (
+      !best ||
+      rule.path.length > best.path.length ||
+      (rule.path.length === best.path.length && rule.allow)
+    ) {
+      best = rule;
+    }
+  }
+  return !best || best.allow;
+}
+
+/**
+ * Creates a cached robots.txt checker. Each origin's robots.txt is fetched once.
+ * A missing robots.txt (4xx) allows everything. So does an unreachable one: the icon
+ * request would fail on its own, and treating it as a ban would hide transient outages.
+ * @param {Object} options
+ * @param {string} options.userAgent - User agent to send and match groups with.
+ * @param {number} options.timeoutMs - Timeout for each robots.txt request.
+ * @param {Object} [options.scheduler] - Host scheduler the requests go through.
+ * @returns {{isAllowed: function(string): Promise<boolean>}}
+ */
+export function createRobotsChecker({ userAgent, timeoutMs, scheduler }) {
+  const token = getRobotsToken(userAgent);
+  const cache = new Map();
+
+  const loadGroups = async (origin) => {
+    try {
+      const { response } = await fetchFollowingRedirects(`${origin}/robots.txt`, {
+        headers: { 'User-Agent': userAgent, Accept: 'text/plain' },
+        timeoutMs,
+        maxRedirects: 5,
+        scheduler,
+      });
+      if (!response.ok) {
+        await response.body?.cancel().catch(() => {});
+        return [];
+      }
+      const text = await response.text();
+      return parseRobotsTxt(text.slice(0, MAX_ROBOTS_BYTES));
+    } catch (e) {
+      return [];
+    }
+  };
+
+  return {
+    async isAllowed(url) {
+      const { origin, pathname, search } = new URL(url);
+      if (pathname === '/robots.txt') return true;
+
+      let groups = cache.get(origin);
+      if (!groups) {
+        // Oldest origin out first, Map keeps insertion order
+        if (cache.size >= CACHE_SIZE) cache.delete(cache.keys().next().value);
+        groups = loadGroups(origin);
+        cache.set(origin, groups);
+      }
+      return isAllowedByRobots(await groups, token, pathname + search);
+    },
+  };
+}
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rankIconCandidates } from '../favicon-discovery.js';
+
+const icon = (url, fields = {}) => ({ url, rel: 'icon', sizes: null, type: null, ...fields });
+const urls = (candidates) => candidates.map((candidate) => candidate.url);
+
+test('rankIconCandidates puts undeclared sizes behind larger declared ones', () => {
+  const ranked = rankIconCandidates(
+    [
+      icon('https://example.com/favicon.ico'),
+      icon('https://example.com/small.png', { sizes: '16x16' }),
+      icon('https://example.com/large.png', { sizes: '64x64' }),
+    ],
+    32,
+  );
+  assert.deepEqual(urls(ranked), [
+    'https://example.com/large.png',
+    'https://example.com/favicon.ico',
+    'https://example.com/small.png',
+  ]);
+});
+
+test('rankIconCandidates prefers the declared size closest to the target', () => {
+  const ranked = rankIconCandidates(
+    [
+      icon('https://example.com/180.png', { sizes: '180x180' }),
+      icon('https://example.com/48.png', { sizes: '48x48' }),
+      icon('https://example.com/32.png', { sizes: '32x32' }),
+    ],
+    32,
+  );
+  assert.deepEqual(urls(ranked), [
+    'https://example.com/32.png',
+    'https://example.com/48.png',
+    'https://example.com/180.png',
+  ]);
+});
+
+test('rankIconCandidates puts SVGs first and mask icons last', () => {
+  const ranked = rankIconCandidates(
+    [
+      icon('https://example.com/mask.svg', { rel: 'mask-icon' }),
+      icon('https://example.com/icon.png', { sizes: '32x32' }),
+      icon('https://example.com/icon.svg'),
+    ],
+    32,
+  );
+  assert.deepEqual(urls(ranked), [
+    'https://example.com/icon.svg',
+    'https://example.com/icon.png',
+    'https://example.com/mask.svg',
+  ]);
+});
+
+test('rankIconCandidates prefers PNG over ICO at the same size and keeps ties in order', () => {
+  const ranked = rankIconCandidates(
+    [
+      icon('https://example.com/a.ico', { sizes: '32x32' }),
+      icon('https://example.com/b.png', { sizes: '32x32' }),
+      icon('https://example.com/c.png', { sizes: '32x32' }),
+    ],
+    32,
+  );
+  assert.deepEqual(urls(ranked), [
+    'https://example.com/b.png',
+    'https://example.com/c.png',
+    'https://example.com/a.ico',
+  ]);
+});
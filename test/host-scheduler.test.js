@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRetryAfter } from '../host-scheduler.js';
+
+const NOW = Date.parse('2026-01-01T00:00:00Z');
+
+test('parseRetryAfter reads delays in seconds', () => {
+  assert.equal(parseRetryAfter('120', NOW), NOW + 120 * 1000);
+  assert.equal(parseRetryAfter(' 0 ', NOW), NOW);
+});
+
+test('parseRetryAfter reads HTTP dates, and past ones mean now', () => {
+  assert.equal(parseRetryAfter('Thu, 01 Jan 2026 00:05:00 GMT', NOW), NOW + 5 * 60 * 1000);
+  assert.equal(parseRetryAfter('Wed, 31 Dec 2025 23:00:00 GMT', NOW), NOW);
+});
+
+test('parseRetryAfter ignores missing and invalid values', () => {
+  assert.equal(parseRetryAfter(null, NOW), null);
+  assert.equal(parseRetryAfter('', NOW), null);
+  assert.equal(parseRetryAfter('soon', NOW), null);
+});
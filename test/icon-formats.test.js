@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { selectIcoFrame } from '../icon-formats.js';
+
+const frame = (width, height, fields = {}) => ({ width, height, bpp: 32, type: 'bmp', ...fields });
+
+test('selectIcoFrame picks the exact size when there is one', () => {
+  const frames = [frame(16, 16), frame(32, 32), frame(48, 48)];
+  assert.equal(selectIcoFrame(frames, 32), frames[1]);
+});
+
+test('selectIcoFrame prefers the smallest frame above the target to any below it', () => {
+  const frames = [frame(16, 16), frame(24, 24), frame(64, 64), frame(48, 48)];
+  assert.equal(selectIcoFrame(frames, 32), frames[3]);
+});
+
+test('selectIcoFrame falls back to the largest frame below the target', () => {
+  const frames = [frame(16, 16), frame(24, 24)];
+  assert.equal(selectIcoFrame(frames, 64), frames[1]);
+});
+
+test('selectIcoFrame breaks ties by squareness, bit depth, then PNG frames', () => {
+  const wide = frame(32, 16);
+  const square = frame(32, 32, { bpp: 8 });
+  assert.equal(selectIcoFrame([wide, square], 32), square);
+
+  const lowDepth = frame(32, 32, { bpp: 8 });
+  const highDepth = frame(32, 32, { bpp: 32 });
+  assert.equal(selectIcoFrame([lowDepth, highDepth], 32), highDepth);
+
+  // PNG frames count as full color even when their header leaves bpp at 0
+  const bmp = frame(32, 32);
+  const png = frame(32, 32, { bpp: 0, type: 'png' });
+  assert.equal(selectIcoFrame([bmp, png], 32), png);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyFailure, describeError } from '../retry-policy.js';
+
+test('classifyFailure sorts HTTP failures by status', () => {
+  assert.equal(classifyFailure({ status: 'failed', httpStatus: 404 }), 'http_4xx');
+  assert.equal(classifyFailure({ status: 'failed', httpStatus: 503 }), 'http_5xx');
+  assert.equal(classifyFailure({ status: 'failed', httpStatus: 429 }), 'rate_limited');
+});
+
+test('classifyFailure recognizes network errors from their cause', () => {
+  const classify = (error) => classifyFailure({ status: 'error', error });
+  assert.equal(classify('fetch failed (ENOTFOUND)'), 'dns');
+  assert.equal(classify('fetch failed (ECONNREFUSED)'), 'connection_refused');
+  assert.equal(classify('fetch failed (ECONNRESET)'), 'reset');
+  assert.equal(classify('fetch failed (UND_ERR_CONNECT_TIMEOUT)'), 'timeout');
+  assert.equal(classify('Request timed out (AbortError)'), 'timeout');
+  assert.equal(classify('fetch failed (CERT_HAS_EXPIRED)'), 'tls');
+  assert.equal(classify('Too many redirects (6)'), 'other');
+});
+
+test('classifyFailure treats junk icons as undecodable', () => {
+  assert.equal(classifyFailure({ status: 'blank_image', httpStatus: 200 }), 'decode');
+  assert.equal(classifyFailure({ status: 'invalid_html', httpStatus: 200 }), 'decode');
+  assert.equal(
+    classifyFailure({ status: 'error', error: 'Input buffer contains unsupported image format' }),
+    'decode',
+  );
+});
+
+test('classifyFailure counts a paused host as rate limited and robots bans apart', () => {
+  const error = 'Host example.com asked to retry after 2026-01-01T00:00:00.000Z';
+  assert.equal(classifyFailure({ status: 'error', error }), 'rate_limited');
+  assert.equal(classifyFailure({ status: 'robots_disallowed' }), 'robots');
+});
+
+test('describeError includes the cause fetch hides', () => {
+  const cause = Object.assign(new Error('getaddrinfo failed'), { code: 'ENOTFOUND' });
+  assert.equal(describeError(new Error('fetch failed', { cause })), 'fetch failed (ENOTFOUND)');
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRobotsTxt, isAllowedByRobots, getRobotsToken } from '../robots.js';
+
+test('parseRobotsTxt groups consecutive user-agent lines and skips comments', () => {
+  const groups = parseRobotsTxt(
+    [
+      'User-agent: FaviconDownloader # us',
+      'User-agent: OtherBot',
+      'Disallow: /private',
+      '',
+      'User-agent: *',
+      'Disallow:',
+    ].join('\n'),
+  );
+  assert.deepEqual(groups, [
+    {
+      agents: ['favicondownloader', 'otherbot'],
+      rules: [{ allow: false, path: '/private' }],
+    },
+    { agents: ['*'], rules: [] },
+  ]);
+});
+
+test('isAllowedByRobots lets the longest matching wildcard rule win', () => {
+  const groups = parseRobotsTxt(
+    ['User-agent: *', 'Disallow: /*.ico', 'Allow: /static/*.ico', 'Disallow: /*.png$'].join('\n'),
+  );
+  assert.equal(isAllowedByRobots(groups, 'FaviconDownloader', '/favicon.ico'), false);
+  assert.equal(isAllowedByRobots(groups, 'FaviconDownloader', '/static/favicon.ico'), true);
+  // '$' anchors the end, so a query string escapes the rule
+  assert.equal(isAllowedByRobots(groups, 'FaviconDownloader', '/icon.png'), false);
+  assert.equal(isAllowedByRobots(groups, 'FaviconDownloader', '/icon.png?v=2'), true);
+});
+
+test('isAllowedByRobots prefers Allow when matching rules are equally long', () => {
+  const groups = parseRobotsTxt(
+    ['User-agent: *', 'Disallow: /a*.ico', 'Allow: /*a.ico'].join('\n'),
+  );
+  assert.equal(isAllowedByRobots(groups, 'FaviconDownloader', '/a.ico'), true);
+});
+
+test('isAllowedByRobots uses the group naming the crawler instead of *', () => {
+  const groups = parseRobotsTxt(
+    ['User-agent: *', 'Disallow: /', '', 'User-agent: FaviconDownloader', 'Allow: /'].join('\n'),
+  );
+  assert.equal(isAllowedByRobots(groups, 'FaviconDownloader', '/favicon.ico'), true);
+  assert.equal(isAllowedByRobots(groups, 'OtherBot', '/favicon.ico'), false);
+});
+
+test('getRobotsToken extracts the product token from a user agent', () => {
+  assert.equal(
+    getRobotsToken('Mozilla/5.0 (compatible; FaviconDownloader/1.0)'),
+    'FaviconDownloader',
+  );
+  assert.equal(getRobotsToken('curl/8.0'), 'curl');
+});
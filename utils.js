@@ -1,15 +1,117 @@
-import { URL } from 'url';
+import { URL, domainToASCII, domainToUnicode } from 'url';
 import crypto from 'crypto';
 import path from 'path';
 import fs from 'fs/promises';
+import { createReadStream, createWriteStream, existsSync } from 'fs';
+import { createInterface } from 'readline';
+import { once } from 'events';
+import { getDomain as getRegistrableDomain } from 'tldts';
+
+export const DOMAIN_NORMALIZATIONS = ['registrable', 'host'];
+
+// How hostnames are turned into the domains that entries are deduplicated, ranked and
+// stored under. Set once from the shared config by the CLI, before any stage runs.
+let domainNormalization = 'host';
+
+/**
+ * Selects how hostnames are normalized into domains.
+ * @param {string} mode - 'registrable' collapses hosts to their registrable domain per
+ *   the Public Suffix List ("blog.example.co.uk" -> "example.co.uk"), 'host' keeps the
+ *   full host without 'www.'.
+ */
+export function setDomainNormalization(mode) {
+  if (!DOMAIN_NORMALIZATIONS.includes(mode)) {
+    throw new Error(
+      `Unknown domain normalization "${mode}", expected one of ${DOMAIN_NORMALIZATIONS}`,
+    );
+  }
+  domainNormalization = mode;
+}
+
+/**
+ * Registrable domain of a host per the Public Suffix List, private suffixes included, so
+ * "user.github.io" stays its own site. Hosts without one (IPs, localhost) are kept whole.
+ * @param {string} hostname - An ASCII hostname.
+ * @returns {string} The registrable domain.
+ */
+function getSiteDomain(hostname) {
+  return getRegistrableDomain(hostname, { allowPrivateDomains: true }) || hostname;
+}
+
+/**
+ * Creates a directory (and its parents) if it doesn't exist yet.
+ * @param {string} dir - The directory.
+ */
+export async function ensureDir(dir) {
+  try {
+    await fs.access(dir);
+  } catch {
+    await fs.mkdir(dir, { recursive: true });
+  }
+}
 
 /**
- * Extracts the domain from a URL, removing the 'www.' prefix if present.
+ * Normalizes a hostname without collapsing it to its registrable domain: punycode, no
+ * trailing dot and no "www." prefix.
+ * @param {string} hostname - The hostname (e.g., "www.Blog.Example.co.uk.").
+ * @returns {string|null} The host (e.g., "blog.example.co.uk"), or null if it isn't valid.
+ */
+export function normalizeHost(hostname) {
+  const host = domainToASCII(hostname.trim().replace(/\.$/, ''));
+  return host ? host.replace(/^www\./, '') : null;
+}
+
+/**
+ * Normalizes a hostname into a domain, as selected with setDomainNormalization.
+ * Unicode hostnames are converted to punycode, so both spellings of an IDN match.
+ * @param {string} hostname - The hostname (e.g., "www.Blog.Example.co.uk").
+ * @returns {string|null} The domain (e.g., "example.co.uk"), or null if it isn't valid.
+ */
+export function normalizeHostname(hostname) {
+  if (domainNormalization !== 'registrable') return normalizeHost(hostname);
+  const host = domainToASCII(hostname.trim().replace(/\.$/, ''));
+  return host ? getSiteDomain(host) : null;
+}
+
+/**
+ * Extracts the normalized domain from a URL (see normalizeHostname).
  * @param {string} url - The URL to extract the domain from.
  * @returns {string} The domain name.
  */
 export function getDomain(url) {
-  return new URL(url).hostname.replace(/^www\./, '');
+  const { hostname } = new URL(url);
+  return normalizeHostname(hostname) || hostname;
+}
+
+/**
+ * The Unicode form of a domain to show people, e.g. "münchen.de" for "xn--mnchen-3ya.de".
+ * @param {string} domain - An ASCII (punycode) domain.
+ * @returns {string} The display name.
+ */
+export function getDisplayDomain(domain) {
+  return domainToUnicode(domain) || domain;
+}
+
+/**
+ * Checks whether two URLs belong to the same site, i.e. share a registrable domain
+ * (e.g., "example.co.uk" and "static.example.co.uk").
+ * @param {string} a - The first URL.
+ * @param {string} b - The second URL.
+ * @returns {boolean} True if both URLs are on the same site.
+ */
+export function isSameSite(a, b) {
+  return getSiteDomain(new URL(a).hostname) === getSiteDomain(new URL(b).hostname);
+}
+
+/**
+ * Hashes content for change detection. Multiple parts are hashed in order as one stream.
+ * @param {...(Buffer|string)} parts - The content to hash.
+ * @returns {string} The hex SHA-256 digest.
+ */
+export function hashContent(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) hash.update(part);
+  return hash.digest('hex');
 }
 
 /**
@@ -28,13 +130,38 @@ export function getRelativePathFromFilename(filename) {
 /**
  * Generates the relative nested path for the icon based on a hash of the filename.
  * Structure: xx/yy/filename.png
+ * Other files for the same domain (sized variants, the original SVG) live in the same directory.
  * @param {string} url - The URL of the page.
+ * @param {Object} [options]
+ * @param {number} [options.size] - Edge of a sized variant (e.g., 64 for "example.com@64.png").
+ *   Omit for the base icon.
+ * @param {string} [options.extension='png'] - File extension of the variant.
  * @returns {string} The relative path (e.g., "a1/b2/example.com.png").
  */
-export function getIconRelativePath(url) {
+export function getIconRelativePath(url, { size, extension = 'png' } = {}) {
+  const domain = getDomain(url);
+  const relativePath = getRelativePathFromFilename(`${domain}.png`);
+  if (!size && extension === 'png') return relativePath;
+  const suffix = size ? `@${size}` : '';
+  return path.join(path.dirname(relativePath), `${domain}${suffix}.${extension}`);
+}
+
+/**
+ * Generates the relative path of an archived icon version, in the same hashed layout
+ * as the current icon (to be resolved against the history directory).
+ * Structure: xx/yy/domain~timestamp[@size].png
+ * @param {string} url - The URL of the page.
+ * @param {string} time - ISO timestamp of the archived version.
+ * @param {Object} [options]
+ * @param {number} [options.size] - Edge of a sized variant. Omit for the base icon.
+ * @returns {string} The relative path (e.g., "a1/b2/example.com~20250101T000000Z.png").
+ */
+export function getIconHistoryRelativePath(url, time, { size } = {}) {
   const domain = getDomain(url);
-  const filename = `${domain}.png`;
-  return getRelativePathFromFilename(filename);
+  const stamp = new Date(time).toISOString().replace(/[-:]|\.\d+/g, '');
+  const suffix = size ? `@${size}` : '';
+  const relativePath = getRelativePathFromFilename(`${domain}.png`);
+  return path.join(path.dirname(relativePath), `${domain}~${stamp}${suffix}.png`);
 }
 
 /**
@@ -73,3 +200,66 @@ export async function loadIconMtimes(iconsDir) {
   console.log(`✅ Loaded stats for ${mtimes.size} icons.`);
   return mtimes;
 }
+
+/**
+ * Legacy path of a state file, from before the stages switched to NDJSON
+ * (e.g., "favicons-downloaded.json" for "favicons-downloaded.ndjson").
+ * @param {string} filePath - The NDJSON state file.
+ * @returns {string} The legacy JSON array file.
+ */
+function getLegacyStatePath(filePath) {
+  return filePath.replace(/\.ndjson$/, '.json');
+}
+
+/**
+ * Streams the records of a state file, one JSON object per line (NDJSON), without
+ * loading the whole file. Files from before the switch to NDJSON, pretty-printed JSON
+ * arrays with a .json extension, are read instead when there's no NDJSON file yet.
+ * A torn last line (from a crash mid-append) is skipped.
+ * @param {string} filePath - The NDJSON state file (e.g., "favicons-downloaded.ndjson").
+ * @returns {AsyncGenerator<Object>} The records, in file order. Throws ENOENT if neither exists.
+ */
+export async function* streamEntries(filePath) {
+  const legacyPath = getLegacyStatePath(filePath);
+  if (!existsSync(filePath) && legacyPath !== filePath && existsSync(legacyPath)) {
+    console.log(`📦 No ${filePath} yet, reading legacy ${legacyPath}.`);
+    const entries = JSON.parse(await fs.readFile(legacyPath, 'utf-8'));
+    if (Array.isArray(entries)) yield* entries;
+    return;
+  }
+
+  const rl = createInterface({ input: createReadStream(filePath), crlfDelay: Infinity });
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    try {
+      yield JSON.parse(line);
+    } catch (e) {
+      console.warn(`⚠️ Skipping unreadable line in ${filePath}`);
+    }
+  }
+}
+
+async function writeLines(stream, entries) {
+  for await (const entry of entries) {
+    if (!stream.write(`${JSON.stringify(entry)}\n`)) await once(stream, 'drain');
+  }
+  stream.end();
+  await once(stream, 'finish');
+}
+
+/**
+ * Writes a whole state file as NDJSON, streaming so no single huge string is built.
+ * Goes through a temp file and a rename, so readers never see a half-written file.
+ * @param {string} filePath - The NDJSON state file.
+ * @param {Iterable<Object>|AsyncIterable<Object>} entries - The entries, in order.
+ */
+export async function writeEntries(filePath, entries) {
+  const tempFile = `${filePath}.${Date.now()}.tmp`;
+  try {
+    await writeLines(createWriteStream(tempFile), entries);
+    await fs.rename(tempFile, filePath);
+  } catch (e) {
+    await fs.rm(tempFile, { force: true });
+    throw e;
+  }
+}